@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Command-line runner of Draw Harness scripts in headless mode.
+// Call with '--help' to see command-line syntax.
+// Exits with code 1 if any command has failed and with code 2 on syntax or initialization error.
+
+const {DrawTermNode} = require("./drawNode.js");
+
+const THE_USAGE = "Usage: drawCli.js [--keep-going] [--quiet] [--out DIR] script.tcl [script2.tcl ...]\n"
+    + "  --keep-going  continue script evaluation after failed command\n"
+    + "  --quiet       do not print command output\n"
+    + "  --out DIR     folder for files downloaded by jsdownload (current folder by default)";
+
+async function main(theArgs) {
+    let toStopOnError = true;
+    let isQuiet = false;
+    let anOutDir = "";
+    let aScripts = [];
+    for (let anArgIter = 0; anArgIter < theArgs.length; ++anArgIter) {
+        let anArg = theArgs[anArgIter];
+        let anArgLower = anArg.toLowerCase();
+        if (anArgLower === "--help" || anArgLower === "-help") {
+            console.log(THE_USAGE);
+            return 0;
+        } else if (anArgLower === "--keep-going") {
+            toStopOnError = false;
+        } else if (anArgLower === "--quiet") {
+            isQuiet = true;
+        } else if (anArgLower === "--out" && anArgIter + 1 < theArgs.length) {
+            anOutDir = theArgs[++anArgIter];
+        } else if (anArg.startsWith("-")) {
+            console.error("Syntax error at '" + anArg + "'\n" + THE_USAGE);
+            return 2;
+        } else {
+            aScripts.push(anArg);
+        }
+    }
+    if (aScripts.length === 0) {
+        console.error("Syntax error: no script specified\n" + THE_USAGE);
+        return 2;
+    }
+
+    let aDraw = new DrawTermNode();
+    if (isQuiet) {
+        aDraw.setOutput(null);
+    }
+    if (anOutDir !== "") {
+        aDraw.setDownloadDir(anOutDir);
+    }
+
+    try {
+        await aDraw.init();
+    } catch (theErr) {
+        if (isQuiet) {
+            // otherwise already printed by terminal
+            console.error(String(theErr));
+        }
+        return 2;
+    }
+
+    let aNbFails = 0;
+    for (let aScriptIter = 0; aScriptIter < aScripts.length; ++aScriptIter) {
+        let aReport = null;
+        try {
+            aReport = await aDraw.runScriptFile(aScripts[aScriptIter], {toStopOnError: toStopOnError});
+        } catch (theErr) {
+            console.error("Error: script '" + aScripts[aScriptIter] + "' cannot be read with " + theErr);
+            return 2;
+        }
+
+        aReport.commands.forEach((theItem) => {
+            if (theItem.status === "error") {
+                ++aNbFails;
+                console.error(aScripts[aScriptIter] + ":" + theItem.line + ": command failed: " + theItem.command
+                    + (theItem.result.errors !== "" ? "\n" + theItem.result.errors : ""));
+            }
+        });
+        if (aReport.status === "error" && toStopOnError) {
+            break;
+        }
+    }
+    return aNbFails === 0 ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((theCode) => {
+    process.exit(theCode);
+}).catch((theErr) => {
+    // unexpected failure is reported like initialization error
+    console.error("Error: " + (theErr instanceof Error ? theErr.message : String(theErr)));
+    process.exit(2);
+});
@@ -0,0 +1,207 @@
+/**
+ * Drag-and-drop upload of local files and folders into emulated file system of DrawTerm (or DrawTermProxy)
+ * with drop overlay and per-file upload status.
+ */
+
+/**
+ * Colors of per-file upload status.
+ */
+const DRAWDROPUPLOAD_STATUS_COLORS = {uploading: "#e5e510", ok: "#0dbc79", error: "#f14c4c"};
+
+/**
+ * Drop zone uploading dropped files via uploadFiles().
+ */
+class DrawDropUpload {
+
+    /**
+     * Main constructor.
+     * @param[in] {DrawTerm|DrawTermProxy} theDraw module to upload files into
+     * @param[in] {HTMLElement} theElement element accepting dropped files (like document.body or viewer canvas)
+     * @param[in] {Object} theOptions optional parameters:
+     *   - targetDir {string} folder on emulated file system to upload files into (current folder by default);
+     *   - statusTimeout {number} time in milliseconds to keep status list after upload (3000 by default).
+     */
+    constructor(theDraw, theElement, theOptions) {
+        let anOptions = theOptions || {};
+        this._myDraw = theDraw;
+        this._myElement = theElement;
+        this._myTargetDir = anOptions.targetDir !== undefined ? anOptions.targetDir : "";
+        this._myStatusTimeout = anOptions.statusTimeout !== undefined ? anOptions.statusTimeout : 3000;
+        this._myDragCounter = 0;      // counter of nested dragenter/dragleave events
+        this._myStatusItems = new Map(); // status elements per file path
+        this._myHideTimer = null;
+
+        this._myOverlay = document.createElement("div");
+        this._myOverlay.className = "drawdropupload";
+        this._myOverlay.style.cssText = "position:fixed;left:0;top:0;right:0;bottom:0;z-index:1000;display:none;"
+            + "align-items:center;justify-content:center;pointer-events:none;"
+            + "background-color:rgba(0,0,0,0.5);border:4px dashed #3b8eea;color:#fff;font:bold 20px sans-serif;";
+        this._myOverlay.textContent = "Drop files or folders to upload into '" + (this._myTargetDir !== "" ? this._myTargetDir : ".") + "'";
+        document.body.appendChild(this._myOverlay);
+
+        this._myStatusElem = document.createElement("div");
+        this._myStatusElem.style.cssText = "position:fixed;right:8px;bottom:8px;z-index:1001;display:none;"
+            + "max-height:40%;overflow-y:auto;padding:4px 8px;background-color:rgba(0,0,0,0.8);font:12px monospace;";
+        document.body.appendChild(this._myStatusElem);
+
+        this._myElement.addEventListener("dragenter", (theEvent) => this._onDragEnter(theEvent));
+        this._myElement.addEventListener("dragover", (theEvent) => this._onDragOver(theEvent));
+        this._myElement.addEventListener("dragleave", (theEvent) => this._onDragLeave(theEvent));
+        this._myElement.addEventListener("drop", (theEvent) => this._onDrop(theEvent));
+    }
+
+    /**
+     * Set folder on emulated file system to upload files into.
+     * @param[in] {string} theDir folder path (empty string for current folder)
+     */
+    setTargetDir(theDir) {
+        this._myTargetDir = theDir;
+    }
+
+    /**
+     * Check if drag event carries files.
+     * @param[in] {DragEvent} theEvent drag event
+     * @return {boolean} TRUE if files are dragged
+     */
+    _hasFiles(theEvent) {
+        return theEvent.dataTransfer != null && Array.from(theEvent.dataTransfer.types).includes("Files");
+    }
+
+    /**
+     * Show overlay when files are dragged over element.
+     * @param[in] {DragEvent} theEvent drag event
+     */
+    _onDragEnter(theEvent) {
+        if (!this._hasFiles(theEvent)) {
+            return;
+        }
+        theEvent.preventDefault();
+        if (++this._myDragCounter === 1) {
+            this._myOverlay.style.display = "flex";
+        }
+    }
+
+    /**
+     * Allow dropping files.
+     * @param[in] {DragEvent} theEvent drag event
+     */
+    _onDragOver(theEvent) {
+        if (!this._hasFiles(theEvent)) {
+            return;
+        }
+        theEvent.preventDefault();
+        theEvent.dataTransfer.dropEffect = "copy";
+    }
+
+    /**
+     * Hide overlay when files are dragged out of element.
+     * @param[in] {DragEvent} theEvent drag event
+     */
+    _onDragLeave(theEvent) {
+        if (!this._hasFiles(theEvent)) {
+            return;
+        }
+        if (--this._myDragCounter <= 0) {
+            this._myDragCounter = 0;
+            this._myOverlay.style.display = "none";
+        }
+    }
+
+    /**
+     * Upload dropped files.
+     * @param[in] {DragEvent} theEvent drop event
+     */
+    _onDrop(theEvent) {
+        if (!this._hasFiles(theEvent)) {
+            return;
+        }
+        theEvent.preventDefault();
+        this._myDragCounter = 0;
+        this._myOverlay.style.display = "none";
+
+        // entries should be retrieved synchronously, as DataTransfer is cleared after event handling
+        let anEntries = [];
+        let aFiles = [];
+        Array.from(theEvent.dataTransfer.items || []).forEach((theItem) => {
+            let anEntry = typeof theItem.webkitGetAsEntry === "function" ? theItem.webkitGetAsEntry() : null;
+            if (anEntry != null) {
+                anEntries.push(anEntry);
+            }
+        });
+        if (anEntries.length === 0) {
+            aFiles = Array.from(theEvent.dataTransfer.files);
+        }
+
+        Promise.all(anEntries.map(theEntry => this._collectEntry(theEntry, "")))
+            .then(theLists => this.upload(aFiles.concat(...theLists)))
+            .catch(theErr => this._setStatus({name: "", path: "", status: "error", error: String(theErr)}));
+    }
+
+    /**
+     * Upload files showing per-file status.
+     * @param[in] {FileList|Array} theFiles files to upload (File objects or {file, path} pairs)
+     * @return {Promise<Array<Object>>} promise returning list of {name, path, status, error} items
+     */
+    upload(theFiles) {
+        if (this._myHideTimer != null) {
+            clearTimeout(this._myHideTimer);
+            this._myHideTimer = null;
+        }
+        this._myStatusItems.clear();
+        this._myStatusElem.replaceChildren();
+        this._myStatusElem.style.display = "block";
+        return this._myDraw.uploadFiles(theFiles, this._myTargetDir, {onFileStatus: (theItem) => this._setStatus(theItem)})
+            .then((theItems) => {
+                this._myHideTimer = setTimeout(() => {
+                    this._myHideTimer = null;
+                    this._myStatusElem.style.display = "none";
+                }, this._myStatusTimeout);
+                return theItems;
+            });
+    }
+
+    /**
+     * Recursively collect files from dropped file system entry.
+     * @param[in] {FileSystemEntry} theEntry file or directory entry
+     * @param[in] {string} theDir relative path of parent folder
+     * @return {Promise<Array<Object>>} promise returning list of {file, path} pairs
+     */
+    async _collectEntry(theEntry, theDir) {
+        let aPath = theDir + theEntry.name;
+        if (theEntry.isFile) {
+            let aFile = await new Promise((theResolve, theReject) => theEntry.file(theResolve, theReject));
+            return [{file: aFile, path: aPath}];
+        }
+
+        // readEntries() returns entries in batches until empty list
+        let aReader = theEntry.createReader();
+        let aList = [];
+        for (;;) {
+            let aBatch = await new Promise((theResolve, theReject) => aReader.readEntries(theResolve, theReject));
+            if (aBatch.length === 0) {
+                break;
+            }
+            for (let aSubEntry of aBatch) {
+                aList = aList.concat(await this._collectEntry(aSubEntry, aPath + "/"));
+            }
+        }
+        return aList;
+    }
+
+    /**
+     * Update status of uploaded file.
+     * @param[in] {Object} theItem {name, path, status, error} item
+     */
+    _setStatus(theItem) {
+        let anElem = this._myStatusItems.get(theItem.path);
+        if (anElem === undefined) {
+            anElem = document.createElement("div");
+            this._myStatusItems.set(theItem.path, anElem);
+            this._myStatusElem.appendChild(anElem);
+        }
+        anElem.style.color = DRAWDROPUPLOAD_STATUS_COLORS[theItem.status];
+        anElem.textContent = theItem.status === "error" ? theItem.error : theItem.path + " - " + theItem.status;
+        this._myStatusElem.style.display = "block";
+    }
+
+};
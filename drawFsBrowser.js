@@ -0,0 +1,243 @@
+/**
+ * Optional panel displaying emulated file system tree of DrawTerm (or DrawTermProxy)
+ * with file sizes and download/delete/preview actions.
+ */
+
+/**
+ * File extensions previewed as images.
+ */
+const DRAWFSBROWSER_IMAGE_TYPES = {png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif",
+                                   bmp: "image/bmp", svg: "image/svg+xml"};
+
+/**
+ * Maximum size of text file preview in bytes.
+ */
+const DRAWFSBROWSER_PREVIEW_LIMIT = 64 * 1024;
+
+/**
+ * File system browser panel.
+ */
+class DrawFsBrowser {
+
+    /**
+     * Main constructor.
+     * @param[in] {DrawTerm|DrawTermProxy} theDraw module to browse emulated file system of
+     * @param[in] {HTMLElement} theParent parent element to append panel into
+     * @param[in] {Object} theOptions optional parameters:
+     *   - root {string} root folder to display ("/" by default);
+     *   - excludes {Array<string>} folders to skip (["/dev", "/proc"] by default);
+     *   - toAutoRefresh {boolean} refresh tree after each evaluated command (TRUE by default).
+     */
+    constructor(theDraw, theParent, theOptions) {
+        let anOptions = theOptions || {};
+        this._myDraw = theDraw;
+        this._myRoot = anOptions.root !== undefined ? anOptions.root : "/";
+        this._myExcludes = anOptions.excludes !== undefined ? anOptions.excludes : ["/dev", "/proc"];
+        this._myOpenDirs = new Set([this._myRoot]); // expanded folders
+        this._myRefreshTimer = null;  // pending refresh
+        this._myPreviewUrl = null;    // object URL of previewed image
+
+        this.element = document.createElement("div");
+        this.element.className = "drawfsbrowser";
+        this.element.style.cssText = "font-family:monospace;font-size:13px;";
+
+        let aToolbar = document.createElement("div");
+        let aRefreshButton = document.createElement("button");
+        aRefreshButton.textContent = "Refresh";
+        aRefreshButton.onclick = () => this.refresh();
+        aToolbar.appendChild(aRefreshButton);
+        this.element.appendChild(aToolbar);
+
+        this._myTreeElem = document.createElement("div");
+        this.element.appendChild(this._myTreeElem);
+
+        this._myPreviewElem = document.createElement("div");
+        this._myPreviewElem.style.cssText = "max-height:20em;overflow:auto;border-top:1px solid #999;";
+        this.element.appendChild(this._myPreviewElem);
+        theParent.appendChild(this.element);
+
+        if (anOptions.toAutoRefresh !== false) {
+            this._myDraw.addEventListener("command-end", () => this._queueRefresh());
+            this._myDraw.addEventListener("wasm-loaded", () => this._queueRefresh());
+        }
+        this._queueRefresh();
+    }
+
+    /**
+     * Rebuild file system tree.
+     * @return {Promise} promise resolved when tree is rebuilt
+     */
+    async refresh() {
+        if (this._myDraw.FS == null) {
+            return;
+        }
+
+        let aList = document.createElement("ul");
+        aList.style.cssText = "list-style:none;padding-left:0;margin:0;";
+        try {
+            await this._fillDir(aList, this._myRoot);
+        } catch (theErr) {
+            aList.textContent = "Error: '" + this._myRoot + "' cannot be listed with " + theErr;
+        }
+        this._myTreeElem.replaceChildren(aList);
+    }
+
+    /**
+     * Schedule tree refresh.
+     */
+    _queueRefresh() {
+        if (this._myRefreshTimer != null) {
+            return;
+        }
+        this._myRefreshTimer = setTimeout(() => {
+            this._myRefreshTimer = null;
+            this.refresh();
+        }, 100);
+    }
+
+    /**
+     * Fill list with folder content.
+     * FS methods are awaited, so that promise-based DrawTermProxy.FS is supported as well.
+     * @param[in] {HTMLElement} theList list element to fill
+     * @param[in] {string} theDir folder path
+     */
+    async _fillDir(theList, theDir) {
+        let aNames = await this._myDraw.FS.readdir(theDir);
+        aNames = aNames.filter(theName => theName !== "." && theName !== "..").sort();
+        let aDirPrefix = theDir.endsWith("/") ? theDir : theDir + "/";
+        for (let aName of aNames) {
+            let aPath = aDirPrefix + aName;
+            if (this._myExcludes.includes(aPath)) {
+                continue;
+            }
+
+            let aStat = await this._myDraw.FS.stat(aPath);
+            let anItem = document.createElement("li");
+            anItem.style.cssText = "padding-left:1em;";
+            if ((aStat.mode & 0o170000) === 0o040000) {
+                let isOpen = this._myOpenDirs.has(aPath);
+                let aLabel = document.createElement("span");
+                aLabel.textContent = (isOpen ? "- " : "+ ") + aName + "/";
+                aLabel.style.cursor = "pointer";
+                aLabel.onclick = () => {
+                    if (isOpen) {
+                        this._myOpenDirs.delete(aPath);
+                    } else {
+                        this._myOpenDirs.add(aPath);
+                    }
+                    this.refresh();
+                };
+                anItem.appendChild(aLabel);
+                if (isOpen) {
+                    let aSubList = document.createElement("ul");
+                    aSubList.style.cssText = "list-style:none;padding-left:0;margin:0;";
+                    await this._fillDir(aSubList, aPath);
+                    anItem.appendChild(aSubList);
+                }
+            } else {
+                anItem.appendChild(document.createTextNode("  " + aName + " (" + this._formatSize(aStat.size) + ") "));
+                anItem.appendChild(this._createButton("download", () => this._downloadFile(aPath, aName)));
+                anItem.appendChild(this._createButton("delete", () => this._deleteFile(aPath)));
+                anItem.appendChild(this._createButton("preview", () => this._previewFile(aPath, aName)));
+            }
+            theList.appendChild(anItem);
+        }
+    }
+
+    /**
+     * Create small action button.
+     * @param[in] {string} theLabel button label
+     * @param[in] {function} theAction click callback
+     * @return {HTMLElement} button element
+     */
+    _createButton(theLabel, theAction) {
+        let aButton = document.createElement("button");
+        aButton.textContent = theLabel;
+        aButton.style.cssText = "font-size:11px;margin-left:2px;";
+        aButton.onclick = () => {
+            Promise.resolve(theAction()).catch((theErr) => alert(String(theErr)));
+        };
+        return aButton;
+    }
+
+    /**
+     * Format file size.
+     * @param[in] {number} theSize size in bytes
+     * @return {string} human-readable size
+     */
+    _formatSize(theSize) {
+        if (theSize < 1024) {
+            return theSize + " B";
+        } else if (theSize < 1024 * 1024) {
+            return (theSize / 1024).toFixed(1) + " KiB";
+        }
+        return (theSize / (1024 * 1024)).toFixed(1) + " MiB";
+    }
+
+    /**
+     * Download file from emulated file system.
+     * @param[in] {string} thePath file path
+     * @param[in] {string} theName file name
+     */
+    async _downloadFile(thePath, theName) {
+        let aData = await this._myDraw.FS.readFile(thePath);
+        DrawTerm.prototype.downloadDataFile.call(this._myDraw, aData, theName, this._fileType(theName));
+    }
+
+    /**
+     * Remove file from emulated file system after confirmation.
+     * @param[in] {string} thePath file path
+     */
+    async _deleteFile(thePath) {
+        if (!confirm("Remove file '" + thePath + "'?")) {
+            return;
+        }
+        await this._myDraw.FS.unlink(thePath);
+        await this.refresh();
+    }
+
+    /**
+     * Show file preview - image or beginning of text file.
+     * @param[in] {string} thePath file path
+     * @param[in] {string} theName file name
+     */
+    async _previewFile(thePath, theName) {
+        let aData = await this._myDraw.FS.readFile(thePath);
+        if (this._myPreviewUrl != null) {
+            URL.revokeObjectURL(this._myPreviewUrl);
+            this._myPreviewUrl = null;
+        }
+
+        let aTitle = document.createElement("div");
+        aTitle.textContent = thePath + ":";
+        let aType = this._fileType(theName);
+        if (aType.startsWith("image/")) {
+            this._myPreviewUrl = URL.createObjectURL(new Blob([aData], {type: aType}));
+            let anImage = document.createElement("img");
+            anImage.src = this._myPreviewUrl;
+            anImage.style.maxWidth = "100%";
+            this._myPreviewElem.replaceChildren(aTitle, anImage);
+            return;
+        }
+
+        let aText = new TextDecoder().decode(aData.subarray(0, DRAWFSBROWSER_PREVIEW_LIMIT));
+        if (aData.length > DRAWFSBROWSER_PREVIEW_LIMIT) {
+            aText += "\n... (" + (aData.length - DRAWFSBROWSER_PREVIEW_LIMIT) + " more bytes)";
+        }
+        let aPre = document.createElement("pre");
+        aPre.textContent = aText;
+        this._myPreviewElem.replaceChildren(aTitle, aPre);
+    }
+
+    /**
+     * Return MIME type of file.
+     * @param[in] {string} theName file name
+     * @return {string} MIME type
+     */
+    _fileType(theName) {
+        let anExt = theName.split(".").pop().toLowerCase();
+        let aType = DRAWFSBROWSER_IMAGE_TYPES[anExt];
+        return aType !== undefined ? aType : "application/octet-stream";
+    }
+
+};
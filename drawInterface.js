@@ -2,6 +2,9 @@
  * Copyright © Kirill Gavrilov, 2021
  */
 
+// last identifier assigned to DrawCommand
+let _DRAWTERM_CMD_LAST_ID = 0;
+
 /**
  * Command in queue to execute.
  */
@@ -10,10 +13,385 @@ class DrawCommand {
      * Main constructor.
      * @param[in] {string} theCmd command to execute
      * @param[in] {boolean} theToEcho print command to terminal
+     * @param[in] {number} theTimeLimit evaluation time limit in milliseconds or 0 if unlimited
      */
-    constructor(theCmd, theToEcho) {
+    constructor(theCmd, theToEcho, theTimeLimit) {
+        this.id = ++_DRAWTERM_CMD_LAST_ID; // unique command identifier
         this.command = theCmd;
         this.toEcho = theToEcho;
+        this.timeLimit = theTimeLimit || 0;
+        this.onDone = null; // optional callback receiving DrawCommandResult
+        this.done = null;   // optional promise returning DrawCommandResult
+    }
+};
+
+/**
+ * Names of message gravity levels (Message_Gravity enumeration) indexed by value.
+ */
+const DRAWTERM_GRAVITY_NAMES = ["trace", "info", "warning", "alarm", "fail"];
+
+/**
+ * ANSI escape sequences for printing messages into terminal indexed by gravity.
+ */
+const DRAWTERM_GRAVITY_COLORS = ["\x1B[90m", "", "\x1B[33m", "\x1B[31m", "\x1B[31;1m"];
+
+/**
+ * Prefix of the line printed by Tcl procedures forwarding calls to commands implemented in JavaScript.
+ */
+const DRAWTERM_JS_CALL_MARKER = "\x01jscall ";
+
+/**
+ * Names of Tcl commands implemented in JavaScript taking emulated file system paths as arguments.
+ */
+const DRAWTERM_JS_FS_COMMANDS = ["jsdownload", "jsdown", "download", "jsls", "jsrm", "jsmv", "jsmkdir", "jscat", "jsopen",
+                                 "jsscreenshot", "jsrecord"];
+
+/**
+ * Prefix of IndexedDB database name (followed by persistent folder path) keeping persistent folder content.
+ */
+const DRAWTERM_PERSIST_DB_PREFIX = "drawexe-persist:";
+
+/**
+ * IndexedDB object store keeping {path, isDir, data} records of persistent folder.
+ */
+const DRAWTERM_PERSIST_STORE = "files";
+
+/**
+ * Model formats supported by jsopen command:
+ *   - format {string} format name;
+ *   - exts {Array<string>} file extensions in lower case;
+ *   - reader {string} Draw command reading the file;
+ *   - plugin {string} Draw plugin defining reader command (to be loaded by pload);
+ *   - command {function} function returning reader command for (filePath, shapeName) arguments quoted by _tclQuote().
+ */
+const DRAWTERM_MODEL_FORMATS = [
+    {format: "STEP", exts: ["step", "stp"], reader: "testreadstep", plugin: "DATAEXCHANGE",
+     command: (thePath, theName) => "testreadstep " + thePath + " " + theName},
+    {format: "IGES", exts: ["iges", "igs"], reader: "testreadiges", plugin: "DATAEXCHANGE",
+     command: (thePath, theName) => "testreadiges " + thePath + " " + theName},
+    {format: "BREP", exts: ["brep", "rle"], reader: "restore", plugin: "MODELING",
+     command: (thePath, theName) => "restore " + thePath + " " + theName},
+    {format: "BinBREP", exts: ["bbrep"], reader: "binrestore", plugin: "MODELING",
+     command: (thePath, theName) => "binrestore " + thePath + " " + theName},
+    {format: "STL", exts: ["stl"], reader: "readstl", plugin: "DATAEXCHANGE",
+     command: (thePath, theName) => "readstl " + theName + " " + thePath},
+    {format: "glTF", exts: ["gltf", "glb"], reader: "readgltf", plugin: "XDE",
+     command: (thePath, theName) => "readgltf " + theName + " " + thePath},
+    {format: "OBJ", exts: ["obj"], reader: "readobj", plugin: "XDE",
+     command: (thePath, theName) => "readobj " + theName + " " + thePath},
+    {format: "VRML", exts: ["wrl", "vrml"], reader: "loadvrml", plugin: "DATAEXCHANGE",
+     command: (thePath, theName) => "loadvrml " + theName + " " + thePath}
+];
+
+/**
+ * Model formats supported by jsexport command:
+ *   - format {string} format name;
+ *   - exts {Array<string>} file extensions in lower case (the first one is the default);
+ *   - mime {string} MIME type of written file;
+ *   - writer {string} Draw command writing the file;
+ *   - plugin {string} Draw plugin defining writer command (to be loaded by pload);
+ *   - isXde {boolean} writer expects XDE document, so that shape is put into a temporary document (compound as assembly);
+ *   - command {function} function returning writer command for (shapeOrDocName, filePath) arguments quoted by _tclQuote().
+ */
+const DRAWTERM_EXPORT_FORMATS = [
+    {format: "BREP", exts: ["brep", "rle"], mime: "application/octet-stream", writer: "save", plugin: "MODELING", isXde: false,
+     command: (theName, thePath) => "save " + theName + " " + thePath},
+    {format: "STEP", exts: ["step", "stp"], mime: "model/step", writer: "WriteStep", plugin: "XDE", isXde: true,
+     command: (theName, thePath) => "WriteStep " + theName + " " + thePath},
+    {format: "IGES", exts: ["iges", "igs"], mime: "model/iges", writer: "brepiges", plugin: "DATAEXCHANGE", isXde: false,
+     command: (theName, thePath) => "brepiges " + theName + " " + thePath},
+    {format: "STL", exts: ["stl"], mime: "model/stl", writer: "writestl", plugin: "DATAEXCHANGE", isXde: false,
+     command: (theName, thePath) => "writestl " + theName + " " + thePath},
+    {format: "glTF", exts: ["gltf"], mime: "model/gltf+json", writer: "WriteGltf", plugin: "XDE", isXde: true,
+     command: (theName, thePath) => "WriteGltf " + theName + " " + thePath},
+    {format: "GLB", exts: ["glb"], mime: "model/gltf-binary", writer: "WriteGltf", plugin: "XDE", isXde: true,
+     command: (theName, thePath) => "WriteGltf " + theName + " " + thePath},
+    {format: "OBJ", exts: ["obj"], mime: "model/obj", writer: "WriteObj", plugin: "XDE", isXde: true,
+     command: (theName, thePath) => "WriteObj " + theName + " " + thePath},
+    {format: "VRML", exts: ["wrl", "vrml"], mime: "model/vrml", writer: "writevrml", plugin: "DATAEXCHANGE", isXde: false,
+     command: (theName, thePath) => "writevrml " + theName + " " + thePath}
+];
+
+/**
+ * MIME types of downloaded files per extension (other than model formats listed in DRAWTERM_EXPORT_FORMATS).
+ */
+const DRAWTERM_MIME_TYPES = {png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", bmp: "image/bmp", gif: "image/gif",
+                             svg: "image/svg+xml", pdf: "application/pdf", txt: "text/plain", tcl: "text/plain",
+                             webp: "image/webp", tif: "image/tiff", tiff: "image/tiff", ppm: "image/x-portable-pixmap",
+                             json: "application/json", html: "text/html", bin: "application/octet-stream",
+                             wasm: "application/wasm", js: "text/javascript"};
+
+/**
+ * Maximum size in bytes of local file embedded into recorded session script as data URL.
+ */
+const DRAWTERM_RECORD_EMBED_LIMIT = 8 * 1024 * 1024;
+
+/**
+ * Prefix of Cache Storage names managed by DrawTerm (WASM builds) and drawServiceWorker.js (page files).
+ */
+const DRAWTERM_CACHE_PREFIX = "drawexe-";
+
+/**
+ * Default Cache Storage name for WASM builds.
+ */
+const DRAWTERM_WASM_CACHE = DRAWTERM_CACHE_PREFIX + "wasm";
+
+/**
+ * Manifest within WASM build folder listing SHA-256 hashes of build files as {files: {"DRAWEXE.wasm": hash, ...}}
+ * (generated by server.py).
+ */
+const DRAWTERM_WASM_MANIFEST = "DRAWEXE.manifest.json";
+
+/**
+ * Identifier of session document written by saveSession().
+ */
+const DRAWTERM_SESSION_FORMAT = "drawsession";
+
+/**
+ * Parameters of vviewparams command restored by loadSession().
+ */
+const DRAWTERM_SESSION_VIEW_PARAMS = ["scale", "proj", "up", "at"];
+
+/**
+ * Image formats supported by captureView() - PNG is written by vdump command, while other formats are converted by canvas.
+ */
+const DRAWTERM_CAPTURE_FORMATS = ["png", "jpeg", "webp"];
+
+/**
+ * Checks supported by validateShapes():
+ *   - command {string} Draw command performing the check (defined by MODELING plugin);
+ *   - description {string} check description.
+ */
+const DRAWTERM_VALIDATION_CHECKS = {
+    checkshape: {command: "checkshape", description: "topology and geometry validity"},
+    bopcheck: {command: "bopcheck", description: "self-interferences"},
+    tolerance: {command: "tolerance", description: "sub-shape tolerances within allowed maximum"}
+};
+
+/**
+ * Prefix of Draw variables holding faulty sub-shapes found by validateShapes().
+ */
+const DRAWTERM_VALIDATION_PREFIX = "_jsval_";
+
+/**
+ * HTML entities for escaping text inserted into HTML reports.
+ */
+const DRAWTERM_HTML_ESCAPES = {"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;"};
+
+/**
+ * Help of built-in Tcl commands implemented in JavaScript registered within "JavaScript commands" group;
+ * the first line is command syntax printed on usage errors.
+ */
+const DRAWTERM_JS_COMMANDS_HELP = {
+    jsdownload: "jsdownload filePath [fileName]"
+        + "\n\t\t: Download file from emulated file system"
+        + "\n\t\t:   filePath file path within emulated file system to download;"
+        + "\n\t\t:   fileName file name to download.",
+    jsupload: "jsupload fileUrl1 [-path filePath1] [fileUrl2 [-path filePath2]] ... [-nopreload] [-nooverwrite]"
+        + "\n\t\t: Upload files to emulated file system (existing files are replaced)"
+        + "\n\t\t:   fileUrl      URL on server (also data or blob URL) or . to show open file dialog"
+        + "\n\t\t:                (several files can be chosen without -path);"
+        + "\n\t\t:   -path        file path within emulated file system to create;"
+        + "\n\t\t:   -nopreload   do not decode image files;"
+        + "\n\t\t:   -nooverwrite fail instead of replacing existing files.",
+    jsls: "jsls [-l] [path]"
+        + "\n\t\t: List folder content on emulated file system"
+        + "\n\t\t:   -l   show entry type, size and modification time;"
+        + "\n\t\t:   path folder or file path (current folder by default).",
+    jsrm: "jsrm [-r] path1 [path2 ...]"
+        + "\n\t\t: Remove files from emulated file system"
+        + "\n\t\t:   -r remove folders with their content.",
+    jsmv: "jsmv srcPath dstPath [-overwrite]"
+        + "\n\t\t: Move or rename file on emulated file system"
+        + "\n\t\t:   dstPath    new file path or existing folder to move file into;"
+        + "\n\t\t:   -overwrite replace existing file.",
+    jsmkdir: "jsmkdir [-p] path1 [path2 ...]"
+        + "\n\t\t: Create folders on emulated file system"
+        + "\n\t\t:   -p create parent folders if needed.",
+    jscat: "jscat filePath"
+        + "\n\t\t: Print text file from emulated file system.",
+    jsexport: "jsexport shapeName1 [shapeName2 ...] fileName [-format {" + DRAWTERM_EXPORT_FORMATS.map(theFormat => theFormat.format).join("|") + "}]"
+        + "\n\t\t: Write shapes into a file and download it"
+        + "\n\t\t:   shapeName shape to export (several shapes are written as assembly or compound);"
+        + "\n\t\t:   fileName  name of the file to download;"
+        + "\n\t\t:   -format   file format (detected from file extension by default).",
+    jsopen: "jsopen {fileUrl|.} [-name shapeName] [-format {" + DRAWTERM_MODEL_FORMATS.map(theFormat => theFormat.format).join("|") + "}]"
+        + " [-path filePath] [-nodisplay] [-nofit]"
+        + "\n\t\t: Upload model file and import it with reader command detected from file extension and content"
+        + "\n\t\t:   fileUrl    URL on server, file on emulated file system or . to show open file dialog;"
+        + "\n\t\t:   -name      name of the shape to create (derived from file name by default);"
+        + "\n\t\t:   -format    file format to skip detection;"
+        + "\n\t\t:   -path      file path within emulated file system to create;"
+        + "\n\t\t:   -nodisplay do not display shape in 3D viewer;"
+        + "\n\t\t:   -nofit     do not fit view to displayed shape.",
+    jssync: "jssync [-load|-save]"
+        + "\n\t\t: Synchronize persistent folder (like /work, see persistDir option) with IndexedDB"
+        + "\n\t\t:   -save save modifications to IndexedDB (default);"
+        + "\n\t\t:   -load reload folder content from IndexedDB.",
+    jspersist: "jspersist [-auto {0|1}] [-request]"
+        + "\n\t\t: Manage persistent folder (like /work, see persistDir option) and print storage usage report"
+        + "\n\t\t:   -auto    synchronize folder automatically after modifying commands;"
+        + "\n\t\t:   -request request persistent storage from browser to avoid eviction.",
+    jscache: "jscache [info [-files]|clear]"
+        + "\n\t\t: Print size of cached WASM builds and page files or clear the cache"
+        + "\n\t\t:   info  print cached size (default), with the list of cached files for -files;"
+        + "\n\t\t:   clear remove cached files, so that they are downloaded again on next loading.",
+    jsasync: "jsasync command ..."
+        + "\n\t\t: Run Tcl command asynchronously.",
+    jsinspect: "jsinspect shapeName"
+        + "\n\t\t: Print shape properties as JSON: type, numbers of sub-shapes, bounding box,"
+        + "\n\t\t: volume, area, center of mass, tolerance and validity.",
+    jsvalidate: "jsvalidate [shape1 shape2 ...] [-checks {" + Object.keys(DRAWTERM_VALIDATION_CHECKS).join(",") + "}] [-maxtol value]"
+        + " [-highlight] [-json fileName] [-html fileName]"
+        + "\n\t\t: Validate shapes (all Draw shape variables by default) and print problems with faulty sub-shapes"
+        + "\n\t\t: (sub-shape variables of the previous validation are removed)"
+        + "\n\t\t:   -checks    comma-separated list of checks (all by default);"
+        + "\n\t\t:   -maxtol    maximum allowed tolerance of sub-shapes (1.0e-4 by default);"
+        + "\n\t\t:   -highlight display faulty sub-shapes in 3D viewer;"
+        + "\n\t\t:   -json      download report in JSON format;"
+        + "\n\t\t:   -html      download report in HTML format.",
+    jsscreenshot: "jsscreenshot fileName [-width W] [-height H] [-format {" + DRAWTERM_CAPTURE_FORMATS.join("|") + "}] [-quality Q]"
+        + " [-transparent] [-save]"
+        + "\n\t\t: Capture image of the active 3D view and download it"
+        + "\n\t\t:   fileName     name of the file to download (file path with -save);"
+        + "\n\t\t:   -width       image width (view width by default or computed from height);"
+        + "\n\t\t:   -height      image height (view height by default or computed from width);"
+        + "\n\t\t:   -format      image format (detected from file extension, png by default);"
+        + "\n\t\t:   -quality     image quality within 0..1 range for lossy formats;"
+        + "\n\t\t:   -transparent keep alpha channel of the background;"
+        + "\n\t\t:   -save        write image into emulated file system instead of downloading.",
+    jsrecord: "jsrecord {start [-output]|stop|save fileName [-download]|replay fileName}"
+        + "\n\t\t: Record evaluated commands into replayable Tcl script"
+        + "\n\t\t:   start   start recording (files uploaded from local file system are embedded into the script);"
+        + "\n\t\t:   -output include command output as comments;"
+        + "\n\t\t:   stop    stop recording;"
+        + "\n\t\t:   save    write recorded script into emulated file system or download it with -download;"
+        + "\n\t\t:   replay  evaluate script from emulated file system waiting for asynchronous commands.",
+    jssession: "jssession {save fileName [-fs]|load {fileUrl|filePath|.}}"
+        + "\n\t\t: Save Draw variables, uploaded files, commands history and view camera into a session file or restore them"
+        + "\n\t\t:   save download session file (write it into emulated file system with -fs);"
+        + "\n\t\t:   load restore session from URL, file on emulated file system or local file (. to show open file dialog).",
+    jseval: "jseval script ..."
+        + "\n\t\t: Evaluate JavaScript code within global scope and return its value serialized into JSON"
+        + "\n\t\t: (in Worker mode the code is evaluated on the page, so that the command cannot be called from Tcl code)"
+        + "\n\t\t:   script JavaScript code (several arguments are joined with spaces)."
+};
+
+/**
+ * Regular expression matching floating point number printed by Draw commands.
+ */
+const DRAWTERM_NUMBER_REGEX = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Backslash sequences substituted by Tcl.
+ */
+const DRAWTERM_TCL_ESCAPES = {a: "\x07", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t", v: "\v"};
+
+/**
+ * Result passed to evalAsyncCompleted() for cancelled jsasync command (DRAWEXE passes 1 on success and 0 on failure).
+ */
+const DRAWTERM_ASYNC_CANCELLED = -1;
+
+/**
+ * Single message printed while evaluating a command.
+ */
+class DrawMessage {
+    /**
+     * Main constructor.
+     * @param[in] {string} theText message text
+     * @param[in] {string} theGravity message gravity, one of DRAWTERM_GRAVITY_NAMES
+     * @param[in] {string} theSource message source - "stdout", "stderr", "message" (Message::Send()) or "js" (JavaScript commands)
+     */
+    constructor(theText, theGravity, theSource) {
+        this.text = theText;
+        this.gravity = theGravity;
+        this.source = theSource;
+        this.timestamp = Date.now();
+    }
+};
+
+/**
+ * Result of command evaluation - ordered list of printed messages.
+ */
+class DrawCommandResult {
+    /**
+     * Main constructor.
+     * @param[in] {string} theCmd evaluated command
+     */
+    constructor(theCmd) {
+        this.command = theCmd;
+        this.id = null;           // identifier of evaluated DrawCommand
+        this.messages = [];       // list of DrawMessage in order of printing
+        this.status = "ok";       // evaluation status - "ok", "error", "timeout" or "cancelled"
+        this.startTime = Date.now();
+        this.duration = 0;        // evaluation time in milliseconds
+    }
+
+    /**
+     * Return messages having one of specified gravities.
+     * @param[in] {Array<string>} theGravities list of gravity names
+     * @return {Array<DrawMessage>} filtered messages
+     */
+    filter(theGravities) {
+        return this.messages.filter(theMsg => theGravities.includes(theMsg.gravity));
+    }
+
+    /**
+     * @return {string} trace and info messages as a line-separated string
+     */
+    get result() {
+        return this.filter(["trace", "info"])
+            .map(theMsg => theMsg.text.replaceAll(/Draw\[\d+\]>/gm, "").trim())
+            .filter(theText => theText !== "")
+            .join("\n");
+    }
+
+    /**
+     * @return {string} warning, alarm and fail messages as a line-separated string
+     */
+    get errors() {
+        return this.filter(["warning", "alarm", "fail"])
+            .map(theMsg => theMsg.text)
+            .join("\n");
+    }
+};
+
+/**
+ * Types of events emitted by DrawTerm:
+ *   - "wasm-loaded"     WebAssembly module has been loaded, detail {build};
+ *   - "command-queued"  command has been put into the queue, detail {id, command};
+ *   - "command-start"   command evaluation has been started, detail {id, command};
+ *   - "output"          message has been printed, detail {id, message}, where id is NULL for messages outside of command;
+ *   - "command-end"     command evaluation has been finished, detail {id, command, status, duration, result};
+ *   - "queue-empty"     the last command in the queue has been finished, detail {};
+ *   - "load-progress"   WebAssembly module loading progress, detail {phase, build, assets, loaded, total, error} (see DrawTerm.loadProgress()).
+ */
+const DRAWTERM_EVENT_TYPES = ["wasm-loaded", "command-queued", "command-start", "output", "command-end", "queue-empty",
+                              "load-progress"];
+
+/**
+ * Phases of WebAssembly module loading reported by "load-progress" event:
+ *   - "fetch"            downloading DRAWEXE.js, DRAWEXE.wasm and DRAWEXE.data;
+ *   - "compile"          compiling WebAssembly module;
+ *   - "runtime-init"     initializing Emscripten runtime and Draw Harness;
+ *   - "pthread-fallback" multi-threaded build has failed, loading single-threaded one;
+ *   - "ready"            module has been loaded;
+ *   - "error"            module loading has failed.
+ */
+const DRAWTERM_LOAD_PHASES = ["fetch", "compile", "runtime-init", "pthread-fallback", "ready", "error"];
+
+/**
+ * Event emitted by DrawTerm with event-specific properties in detail field.
+ */
+class DrawTermEvent extends Event {
+    /**
+     * Main constructor.
+     * @param[in] {string} theType event type, one of DRAWTERM_EVENT_TYPES
+     * @param[in] {Object} theDetail event properties
+     */
+    constructor(theType, theDetail) {
+        super(theType);
+        this.detail = theDetail;
     }
 };
 
@@ -79,19 +457,66 @@ class DrawCommandQueue {
         anItem._myNext = null;
         return anItem;
     }
+
+    /**
+     * Remove command with specified identifier from the queue.
+     * @param[in] {number} theId command identifier
+     * @return {DrawCommand} removed command or NULL if not found
+     */
+    remove(theId) {
+        let aPrev = null;
+        for (let anItem = this._myFirst; anItem != null; aPrev = anItem, anItem = anItem._myNext) {
+            if (anItem.id !== theId) {
+                continue;
+            }
+
+            if (aPrev != null) {
+                aPrev._myNext = anItem._myNext;
+            } else {
+                this._myFirst = anItem._myNext;
+            }
+            if (this._myLast === anItem) {
+                this._myLast = aPrev;
+            }
+            this._myLength -= 1;
+            anItem._myNext = null;
+            return anItem;
+        }
+        return null;
+    }
+
+    /**
+     * Remove all commands from the queue.
+     * @return {Array<DrawCommand>} removed commands
+     */
+    clear() {
+        let aList = [];
+        for (let anItem = this.pop(); anItem != null; anItem = this.pop()) {
+            aList.push(anItem);
+        }
+        return aList;
+    }
 };
 
-// prefix for DRAWEXE.data location
+// default prefix for DRAWEXE.data location (see basePrefix option of DrawTerm constructor)
 let _DRAWTERM_BASE_PREFIX = "/";
-if (document.currentScript && document.currentScript.src.endsWith("js/drawInterface.js")) {
+if (typeof document === "undefined") {
+    // headless mode (Node.js) - WASM builds are located next to this script
+    if (typeof __dirname !== "undefined") {
+        _DRAWTERM_BASE_PREFIX = __dirname + "/";
+    }
+} else if (document.currentScript && document.currentScript.src) {
+    // WASM builds are located next to this script or in parent folder of "js/drawInterface.js";
     // note - this will not work properly while importing module
-    _DRAWTERM_BASE_PREFIX = document.currentScript.src.substring(0, document.currentScript.src.length - "js/drawInterface.js".length);
+    _DRAWTERM_BASE_PREFIX = document.currentScript.src.substring(0, document.currentScript.src.lastIndexOf("/") + 1)
+                                                      .replace(/\/js\/$/, "/");
 }
 
 /**
  * Main class interface - used as a base for initialization of WebAssembly module.
+ * Emits events listed in DRAWTERM_EVENT_TYPES.
  */
-class DrawTerm {
+class DrawTerm extends EventTarget {
 
 //#region Main interface
 
@@ -118,16 +543,34 @@ class DrawTerm {
      * Check if multithreading is allowed.
      */
     isAllowMultithreading() {
-        return window.Worker !== undefined && window.Atomics !== undefined
+        return typeof window !== "undefined"
+            && window.Worker !== undefined && window.Atomics !== undefined
             && window.SharedArrayBuffer !== undefined;
     }
 
+    /**
+     * Check if terminal works in headless mode (without DOM and viewer canvas).
+     * @return {boolean} TRUE if viewer canvas is undefined
+     */
+    isHeadless() {
+        return this.canvas == null;
+    }
+
+    /**
+     * Return progress of WebAssembly module loading.
+     * @return {Object} {phase, build, assets, loaded, total, error} with current phase (one of DRAWTERM_LOAD_PHASES),
+     *         WASM build, received and total bytes per file name within assets and summary bytes in loaded/total
+     *         (total is 0 when unknown); error is defined for "error" phase
+     */
+    loadProgress() {
+        return JSON.parse(JSON.stringify(this._myLoadProgress));
+    }
+
     /**
      * Init Module and load WASM file.
      */
     async init() {
         let anErr = null;
-        this.setBasePrefix(_DRAWTERM_BASE_PREFIX);
 
         let aBackProps = {};
         for (var aPropIter in this) {
@@ -138,7 +581,7 @@ class DrawTerm {
             await this.wasmLoad();
             //await createDRAWEXE (this);
         } catch (theErr1) {
-            let toLoadThreads = this._myToPreferPthread && this.isAllowMultithreading();
+            let toLoadThreads = !this._myIsWasmBuildFixed && this._myToPreferPthread && this.isAllowMultithreading();
             if (toLoadThreads) {
                 try {
                     // remove partially initialized fields
@@ -150,6 +593,7 @@ class DrawTerm {
 
                     this._myIsWasmLoaded = false;
                     this._myToPreferPthread = false;
+                    this._setLoadPhase("pthread-fallback");
                     await this.wasmLoad();
 
                     this.terminalWriteError(theErr1 + " [fallback to '" + this._myWasmBuild + "']");
@@ -161,13 +605,17 @@ class DrawTerm {
             }
         }
 
-        await document.fonts.ready;
+        if (typeof document !== "undefined" && document.fonts) {
+            await document.fonts.ready;
+        }
         if (anErr != null) {
             this._myIsWasmLoaded = true;
+            this._setLoadPhase("error", String(anErr));
             this.terminalWriteError(anErr);
             return Promise.reject(anErr);
         }
 
+        await this._mountPersistentDir();
         this._onWasmCreated();
         return Promise.resolve(true);
     }
@@ -176,21 +624,21 @@ class DrawTerm {
      * Init Module and load WASM file.
      */
     async wasmLoad() {
-        let toLoadThreads = this._myToPreferPthread && this.isAllowMultithreading();
-        this._myWasmBuild = toLoadThreads ? "wasm32-pthread" : "wasm32";
+        if (!this._myIsWasmBuildFixed) {
+            let toLoadThreads = this._myToPreferPthread && this.isAllowMultithreading();
+            this._myWasmBuild = toLoadThreads ? "wasm32-pthread" : "wasm32";
+        }
         this.FS = null;
         try {
             this.mainScriptUrlOrBlob = './DRAWEXE.js'; // for pthreads
-            let aModPath = this.locateFile("DRAWEXE.js", "");
-            let aRet = await fetch(aModPath);
-            let aSrc = await aRet.text();
-            if (!aRet.ok) {
-                return Promise.reject(new Error("Fail to fetch DRAWEXE.js; response finished with " + aRet.status));
-            }
+            this._myLoadProgress.assets = {};
+            this._setLoadPhase("fetch");
+            let aFetched = await this._fetchWasmAssets(["DRAWEXE.js"]);
+            let aSrc = new TextDecoder().decode(aFetched[0]);
             aSrc += '\nexport default createDRAWEXE';
             const aBlob = new Blob([aSrc], {type: 'text/javascript'});
             let aModCreator = await import (URL.createObjectURL(aBlob));
-            await aModCreator.default(this);
+            await Promise.race([aModCreator.default(this), aFetched[1]]);
             return Promise.resolve(true);
         } catch (theError) {
             return Promise.reject(new Error("WebAssembly '" + this._myWasmBuild + "' initialization has failed:\r\n" + theError));
@@ -199,8 +647,24 @@ class DrawTerm {
 
     /**
      * Terminal setup.
+     * Several instances might be created on the same page - each one loads its own WebAssembly module.
+     * @param[in] {Object} theOptions optional parameters:
+     *   - canvas {HTMLCanvasElement|string} canvas element for 3D viewer or its id ("occViewerCanvas" by default);
+     *     NULL for headless mode; canvases of several instances should have distinct ids;
+     *   - basePrefix {string} location of WASM builds folders (guessed from location of this script by default);
+     *   - wasmBuild {string} WASM build folder like "wasm32" or "wasm32-pthread" to load
+     *     (chosen automatically with fallback to "wasm32" by default);
+     *   - preferPthread {boolean} prefer multi-threaded WASM build when build is chosen automatically (TRUE by default);
+     *   - persistDir {string} folder backed by IndexedDB like "/work" (disabled by default, as IndexedDB database is named
+     *     after the folder and would be shared by instances); should differ for independent instances;
+     *   - wasmCache {boolean|string} keep WASM builds within Cache Storage for offline use
+     *     (cache name or TRUE for DRAWTERM_WASM_CACHE; disabled by default), see setWasmCacheName();
+     *   - onOutput {function(DrawMessage)} callback receiving printed messages (see "output" event);
+     *   - onLoadProgress {function(Object)} callback receiving WASM loading progress (see loadProgress() and "load-progress" event).
      */
-    constructor() {
+    constructor(theOptions) {
+        super();
+        let anOptions = theOptions || {};
         //#region Class properties
         // use old initialization style for compatibility with old browsers
         this._myTermLine = "";        // Terminal input
@@ -209,20 +673,52 @@ class DrawTerm {
         this._myTermHistoryPos = -1; // Currently displayed item from commands input history (activated by up/down arrows)
         this._myCmdTimeout = 10;      // command delay for setTimout()
         this._myCmdQueue = new DrawCommandQueue(); // commands queued for sequential processing via setTimout()
+        this._myCmdRunning = null;    // DrawCommand popped from the queue and being evaluated
+        this._myCmdTimeLimit = 0;     // default command evaluation time limit in milliseconds (0 means unlimited)
+        this._myIsAsyncRunning = false; // flag indicating jsasync command running in background
         this._myIsWasmLoaded = false; // WASM loading state
         this._myToPreferPthread = true;
         this._myFileInput = null;     // Hidden file input field
+        this._myCmdResult = null;     // DrawCommandResult of currently evaluated command collecting printed messages
+        this._myNbCommands = 0;       // number of evaluated commands shown in "Draw[N]>" prompt
+        this._myTerm = null;          // DrawTerminal widget
+        this._myCapture = null;       // list of captured messages while evaluating Tcl command silently
+        this._myPersistDir = "";      // folder on emulated file system backed by IndexedDB (empty string to disable)
+        this._myIsPersistMounted = false; // flag indicating that persistent folder has been mounted
+        this._myPersistDb = null;     // IndexedDB database keeping persistent folder content
+        this._myPersistState = new Map(); // signatures of persistent folder items saved into IndexedDB (see _walkPersistentDir())
+        this._myToAutoSync = true;    // synchronize persistent folder after commands modifying it
+        this._myPersistSync = Promise.resolve(true); // last synchronization of persistent folder
+        this._myUrlBase = "";         // base URL for resolving relative URLs (empty string for page location)
+        this._myUrlAllowList = [];    // origin patterns allowed for uploadUrl() (empty list to allow any origin)
+        this._myUrlDenyList = [];     // origin patterns denied for uploadUrl()
+        this._myJsCommands = new Map(); // commands implemented in JavaScript registered by registerJsCommand()
+        this._myValidationReport = null; // report of the last validateShapes() call
+        this._myRecord = null;        // session recording {lines, uploads, toRecordOutput} started by startRecording()
+        this._myUploadedFiles = new Set(); // paths of files uploaded into emulated file system to be saved by saveSession()
+        this._myLoadProgress = {phase: "fetch", build: "", assets: {}, loaded: 0, total: 0}; // WASM loading progress
+        this._myWasmCacheName = "";   // Cache Storage name for WASM builds (empty string to disable caching)
+        this._myWasmManifest = {isOnline: true, files: {}}; // hashes of WASM build files (see DRAWTERM_WASM_MANIFEST)
 
         // prefix for DRAWEXE.data location
-        this._myBasePrefix = "/";
+        this._myBasePrefix = anOptions.basePrefix !== undefined ? anOptions.basePrefix : _DRAWTERM_BASE_PREFIX;
         this._myWasmBuild = "wasm32";
+        this._myIsWasmBuildFixed = false; // flag indicating WASM build specified by setWasmBuild() instead of automatic choice
 
-        // define WebGL canvas for WebAssembly viewer
-        this.canvas = document.getElementById('occViewerCanvas'); // canvas element for OpenGL context
-        this.canvas.tabIndex = -1;
-        this.canvas.onclick = (theEvent) => {
-            this.canvas.focus()
-        };
+        // define WebGL canvas for WebAssembly viewer (NULL in headless mode)
+        this.canvas = null; // canvas element for OpenGL context
+        let aCanvas = anOptions.canvas !== undefined ? anOptions.canvas : "occViewerCanvas";
+        if (typeof aCanvas === "string") {
+            this.canvas = typeof document !== "undefined" ? document.getElementById(aCanvas) : null;
+        } else {
+            this.canvas = aCanvas;
+        }
+        if (this.canvas != null) {
+            this.canvas.tabIndex = -1;
+            this.canvas.onclick = (theEvent) => {
+                this.canvas.focus()
+            };
+        }
 
         // tell Emscripten and Draw Harness to not use std::cin for commands input
         this.noExitRuntime = true;
@@ -234,16 +730,31 @@ class DrawTerm {
         this.locateFile = this.locateFile.bind(this);
         //#endregion
 
-        if (!this.isWasmSupported()) {
-            this.terminalWrite("\x1B[31;1mBrowser is too old - WebAssembly support is missing!\n\r"
-                + "Please check updates or install a modern browser.\x1B[0m\n\r");
-            return;
-        } else {
-            setTimeout(() => {
-                this._termWasmLoadProgress()
-            }, 1000);
+        if (anOptions.wasmBuild !== undefined) {
+            this.setWasmBuild(anOptions.wasmBuild);
+        }
+        if (anOptions.preferPthread !== undefined) {
+            this.setPreferPthread(anOptions.preferPthread);
+        }
+        if (anOptions.persistDir !== undefined) {
+            this.setPersistentDir(anOptions.persistDir);
+        }
+        if (anOptions.wasmCache !== undefined && anOptions.wasmCache !== false) {
+            this.setWasmCacheName(anOptions.wasmCache === true ? DRAWTERM_WASM_CACHE : anOptions.wasmCache);
+        }
+        if (anOptions.onOutput !== undefined) {
+            this.addEventListener("output", (theEvent) => anOptions.onOutput(theEvent.detail.message));
+        }
+        if (anOptions.onLoadProgress !== undefined) {
+            this.addEventListener("load-progress", (theEvent) => anOptions.onLoadProgress(theEvent.detail));
         }
 
+        this._registerBuiltinJsCommands();
+
+        if (!this.isWasmSupported()) {
+            this.terminalWriteError("Browser is too old - WebAssembly support is missing!\n"
+                + "Please check updates or install a modern browser.");
+        }
     }
 
     /**
@@ -255,11 +766,13 @@ class DrawTerm {
     }
 
     /**
-     * Set WASM build prefix for DRAWEXE.wasm location.
+     * Set WASM build prefix for DRAWEXE.wasm location; should be called before init().
+     * Disables automatic choice of multi-threaded build and fallback to single-threaded one.
      * @param[in] {string} theBuild new prefix to set
      */
     setWasmBuild(theBuild) {
         this._myWasmBuild = theBuild;
+        this._myIsWasmBuildFixed = true;
     }
 
     /**
@@ -276,16 +789,47 @@ class DrawTerm {
         this._myToPreferPthread = theToPrefer;
     }
 
-    commandsResult = []
-    commandsErrors = []
+    /**
+     * Return default time limit for commands put into the queue.
+     * @return {number} time limit in milliseconds or 0 if unlimited
+     */
+    commandTimeLimit() {
+        return this._myCmdTimeLimit;
+    }
+
+    /**
+     * Set default time limit for commands put into the queue.
+     * Note that only asynchronous commands (jsasync, jsupload) can be interrupted -
+     * synchronous Tcl commands block JavaScript until completion.
+     * @param[in] {number} theTimeLimit time limit in milliseconds or 0 if unlimited
+     */
+    setCommandTimeLimit(theTimeLimit) {
+        this._myCmdTimeLimit = theTimeLimit;
+    }
+
+    /**
+     * Create terminal widget (see drawTerminal.js) and attach it to commands input.
+     * @param[in] {HTMLElement} theParent parent element to append terminal into
+     * @param[in] {Object} theOptions optional DrawTerminal parameters
+     * @return {DrawTerminal} created terminal
+     */
+    openTerminal(theParent, theOptions) {
+        this._myTerm = new DrawTerminal(theParent, theOptions);
+        this._myTerm.attachCustomKeyEventHandler((theEvent) => this._onTermKeyEvent(theEvent));
+        this._myTerm.onData((theData) => this._onTermDataInput(theData));
+        if (this._myIsWasmLoaded) {
+            this.terminalPrintInputLine(this._myTermLine);
+        }
+        return this._myTerm;
+    }
 
     /**
      * Print text into terminal.
      * @param[in] {string} theText text to print
      */
     terminalWrite(theText) {
-        if (theText && theText.length > 4 && this.commandsResult) {
-            this.commandsResult.push(theText);
+        if (this._myTerm != null) {
+            this._myTerm.write(theText);
         }
     }
 
@@ -294,9 +838,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteMultiline(theText) {
-        if (theText && theText.length > 1 && this.commandsResult) {
-            this.commandsResult.push(theText);
-        }
+        this.terminalWrite(theText.replace(/\r?\n/g, "\n\r"));
     }
 
     /**
@@ -304,7 +846,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteLine(theText) {
-        this.terminalWrite(theText);
+        this._termAddMessage(theText, 1, "js");
     }
 
     /**
@@ -312,7 +854,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteTrace(theText) {
-        this.terminalWriteMultiline(theText);
+        this._termAddMessage(theText, 0, "js");
     }
 
     /**
@@ -320,7 +862,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteInfo(theText) {
-        this.terminalWriteMultiline(theText);
+        this._termAddMessage(theText, 1, "js");
     }
 
     /**
@@ -328,10 +870,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteWarning(theText) {
-        if (theText && theText.length > 1 && this.commandsErrors) {
-            this.commandsErrors.push(theText);
-        }
-        //this.terminalWriteMultiline(theText);
+        this._termAddMessage(theText, 2, "js");
     }
 
     /**
@@ -339,10 +878,7 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     terminalWriteError(theText) {
-        if (theText && theText.length > 1 && this.commandsErrors) {
-            this.commandsErrors.push(theText);
-        }
-        //this.terminalWriteMultiline(theText);
+        this._termAddMessage(theText, 4, "js");
     }
 
     /**
@@ -350,9 +886,7 @@ class DrawTerm {
      * @param[in] {string} theLine text to print
      */
     terminalPrintInputLine(theLine) {
-        if (this.commandsResult) {
-            this.commandsResult.push(theLine);
-        }
+        this.terminalWrite("\n\r\x1B[32;1mDraw[" + (this._myNbCommands + 1) + "]>\x1B[0m " + theLine);
     }
 
     /**
@@ -360,394 +894,2561 @@ class DrawTerm {
      * @param[in] {string} theCommands commands as a line-separated string
      */
     terminalPasteScript(theCommands) {
-        console.log(theCommands)
+        this.runScript(theCommands, {toEcho: true, toStopOnError: false});
     }
 
     /**
-     * Evaluate a command from the queue.
-     * @param[in] {string} theCmd command to execute
-     * @return {Promise} evaluation result as promise
+     * Split script into a list of complete Tcl commands.
+     * Lines with trailing backslash and lines with unbalanced brackets are joined with the following lines;
+     * like in Tcl, backslash-newline together with leading spaces of the next line is replaced by a single space.
+     * @param[in] {string} theScript script as a line-separated string
+     * @return {Array<Object>} list of {command, line} pairs, where line is the 1-based line number of the command start
      */
-    termEvaluateCommand(theCmd) {
-        if (theCmd === "") {
-            return Promise.resolve(true);
-        }
+    splitScript(theScript) {
+        let aCmds = [];
+        let aCmd = "";
+        let aCmdLine = 0;
+        let isContinued = false;
+        let aLines = theScript.split(/\r?\n/);
+        for (let aLineIter = 0; aLineIter < aLines.length; ++aLineIter) {
+            let aLine = aLines[aLineIter];
+            if (aCmd === "") {
+                if (aLine.trim() === "" || aLine.trim().startsWith("#")) {
+                    continue;
+                }
+                aCmdLine = aLineIter + 1;
+            }
 
-        this._myTermHistoryPos = -1;
-        if (!theCmd.startsWith("#") && !theCmd.includes("\n")) {
-            this._myTermHistory.push(theCmd);
-        }
-        try {
-            let aRes = true;
-            if (theCmd.startsWith("jsdownload ")) {
-                aRes = this._commandJsdownload(theCmd.substring(11).trim());
-            } else if (theCmd.startsWith("jsdown ")) {
-                aRes = this._commandJsdownload(theCmd.substring(7).trim());
-            } else if (theCmd.startsWith("download ")) {
-                aRes = this._commandJsdownload(theCmd.substring(9).trim());
-            } else if (theCmd.startsWith("jsupload ")) {
-                return this._commandJsupload(theCmd.substring(9).trim());
-            } else if (theCmd.startsWith("upload ")) {
-                return this._commandJsupload(theCmd.substring(7).trim());
-            } else if (theCmd.startsWith("jsasync ")) {
-                return new Promise((theResolve, theReject) => {
-                    this.evalAsyncCompleted = (theResult) => {
-                        this.evalAsyncCompleted = undefined;
-                        theResolve(theResult === 1);
-                    };
-                    this.evalAsyncCompleted = this.evalAsyncCompleted.bind(this);
-                    this.evalAsync(theCmd.substring(8).trim());
-                });
+            aCmd += isContinued ? aLine.replace(/^[ \t]+/, "") : aLine;
+            // the last backslash escapes new line only if it is not escaped itself (odd number of backslashes)
+            let aNbSlashes = /\\*$/.exec(aCmd)[0].length;
+            isContinued = aNbSlashes % 2 === 1;
+            if (isContinued) {
+                // handle trailing backslash (multiline input)
+                aCmd = aCmd.substring(0, aCmd.length - 1) + " ";
+            } else if (!this.isComplete(aCmd)) {
+                // handle incomplete Tcl input (missing closing bracket)
+                aCmd += "\n";
             } else {
-                this.eval(theCmd);
-            }
-            if (aRes) {
-                const result = this.commandsResult.map(c => c.replaceAll(/Draw\[\d\]>/gm, "").trim())
-                    .filter(c => c && c !== "")
-                    .join("\n");
-
-                const errors = this.commandsErrors
-                    .filter(c => c && c !== "")
-                    .join("\n");
-                this.commandsResult = []
-                this.commandsErrors = []
-                1
-                return Promise.resolve({result, errors});
-            }
-            return Promise.reject(new Error("Command evaluation failed"));
-        } catch (theErr) {
-            return Promise.reject(new InternalError(theErr));
+                aCmds.push({command: aCmd, line: aCmdLine});
+                aCmd = "";
+            }
         }
+        if (aCmd.trim() !== "") {
+            // incomplete command at the end of script - let Tcl report the syntax error
+            aCmds.push({command: aCmd, line: aCmdLine});
+        }
+        return aCmds;
     }
 
     /**
-     * Function to download data to a file.
-     * @param[in] {Uint8Array} theData data to download
-     * @param[in] {string} theFileName default file name to download data as
-     * @param[in] {string} theType data MIME type
+     * Evaluate a script command-by-command in strict order through commands queue.
+     * @param[in] {string} theScript script as a line-separated string
+     * @param[in] {Object} theOptions optional parameters:
+     *   - toStopOnError {boolean} skip remaining commands after the first failed one (TRUE by default);
+     *   - toEcho {boolean} print commands to terminal (FALSE by default);
+     *   - timeLimit {number} time limit for each command in milliseconds (commandTimeLimit() by default);
+     *   - onCommand {function} callback receiving report item of each evaluated command.
+     * @return {Promise<Object>} script report {status, duration, commands}, where commands is a list
+     *                           of {line, command, status, result} items with status "ok", "error", "timeout",
+     *                           "skipped" or "cancelled" and DrawCommandResult (or NULL for skipped commands);
+     *                           script status is "ok", "error" or "cancelled"
      */
-    downloadDataFile(theData, theFileName, theType) {
-        let aFileBlob = new Blob([theData], {type: theType});
-        let aLinkElem = document.createElement("a");
-        let anUrl = URL.createObjectURL(aFileBlob);
-        aLinkElem.href = anUrl;
-        aLinkElem.download = theFileName;
-        document.body.appendChild(aLinkElem);
-        aLinkElem.click();
-        setTimeout(function () {
-            document.body.removeChild(aLinkElem);
-            window.URL.revokeObjectURL(anUrl);
-        }, 0);
+    async runScript(theScript, theOptions) {
+        let anOptions = theOptions || {};
+        let toStopOnError = anOptions.toStopOnError !== false;
+        let aStartTime = Date.now();
+        let aReport = {status: "ok", duration: 0, commands: []};
+        let aCmds = this.splitScript(theScript);
+        for (let aCmdIter = 0; aCmdIter < aCmds.length; ++aCmdIter) {
+            let anItem = {line: aCmds[aCmdIter].line, command: aCmds[aCmdIter].command, status: "skipped", result: null};
+            aReport.commands.push(anItem);
+            if (aReport.status === "cancelled") {
+                // remaining commands are dropped after timeout or cancellation
+                anItem.status = "cancelled";
+                continue;
+            } else if (aReport.status === "error" && toStopOnError) {
+                continue;
+            }
+
+            anItem.result = await this._termQueueCommand(anItem.command, anOptions.toEcho === true, anOptions.timeLimit);
+            anItem.status = anItem.result.status;
+            if (anItem.status === "error") {
+                aReport.status = "error";
+            } else if (anItem.status === "timeout" || anItem.status === "cancelled") {
+                aReport.status = "cancelled";
+            }
+            if (anOptions.onCommand) {
+                anOptions.onCommand(anItem);
+            }
+        }
+        aReport.duration = Date.now() - aStartTime;
+        return aReport;
     }
 
     /**
-     * Fetch remote file from specified URL and upload it to emulated file system.
-     * @param[in] {string} theFileUrl  URL to load
-     * @param[in] {string} theFilePath file path on emulated file system (or empty string to take name from URL)
-     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
-     * @return {Promise} evaluation result as promise returning TRUE or Error
+     * Evaluate a command through the queue, so that it does not interfere with commands already queued or running.
+     * @param[in] {string} theCmd command to execute
+     * @param[in] {number} theTimeLimit optional time limit in milliseconds;
+     *                                 the result will have "timeout" status if asynchronous command does not finish in time
+     * @return {Promise<DrawCommandResult>} evaluation result as promise
+     */
+    termEvaluateCommand(theCmd, theTimeLimit) {
+        return this._termQueueCommand(theCmd, false, theTimeLimit);
+    }
+
+    /**
+     * Evaluate a command.
+     * @param[in] {DrawCommand} theCmd command to execute
+     * @return {Promise<DrawCommandResult>} evaluation result as promise
      */
-    uploadUrl(theFileUrl, theFilePath, theToPreload) {
-        let aPathSplit = theFileUrl.split("/");
-        let aFileName = theFileUrl;
-        if (aPathSplit.length > 1) {
-            aFileName = aPathSplit[aPathSplit.length - 1];
+    _termEvaluate(theCmd) {
+        let aCmd = theCmd.command;
+        let aTimeLimit = theCmd.timeLimit;
+        let aResult = new DrawCommandResult(aCmd);
+        aResult.id = theCmd.id;
+        if (aCmd === "") {
+            return Promise.resolve(aResult);
         }
 
-        let aFilePath = theFilePath;
-        if (aFilePath === "") {
-            aFilePath = aFileName;
+        this._myTermHistoryPos = -1;
+        if (!aCmd.startsWith("#") && !aCmd.includes("\n")) {
+            this._myTermHistory.push(aCmd);
         }
 
-        const aCheckStatusFunc = function (theResponse) {
-            if (!theResponse.ok) {
-                throw new Error("HTTP " + theResponse.status + " - " + theResponse.statusText + " (URL: '" + theFileUrl + "')");
-            }
-            return theResponse;
-        };
+        this._myCmdResult = aResult;
+        ++this._myNbCommands;
+        this._emitEvent("command-start", {id: aResult.id, command: aCmd});
+        let aPromise = null;
+        try {
+            aPromise = Promise.resolve(this._termEvaluateCommandImpl(aCmd));
+        } catch (theErr) {
+            aPromise = Promise.reject(theErr);
+        }
 
-        return new Promise((theResolve, theReject) => {
-            fetch(theFileUrl)
-                .then(theResponse => aCheckStatusFunc(theResponse) && theResponse.arrayBuffer())
-                .then(theBuffer => {
-                    let aDataArray = new Uint8Array(theBuffer);
-                    this.terminalWriteLine("uploading file '" + aFileName + "' of size " + aDataArray.length + " bytes to '" + aFilePath + "'...");
-                    this.FS.writeFile(aFilePath, aDataArray);
-                    if (theToPreload) {
-                        // decode image
-                        this.FS.createPreloadedFile(!aFilePath.startsWith("/") ? this.FS.cwd() : "/",
-                            aFilePath,
-                            aDataArray, true, true,
-                            () => {
-                                theResolve(true);
-                                this.terminalPrintInputLine("");
-                            },
-                            () => {
-                                theReject(new Error("Preload '" + aFilePath + "' failed"));
-                            },
-                            true); // file is already created
-                    } else {
-                        this.terminalPrintInputLine("");
-                        theResolve(true);
-                    }
-                })
-                .catch(theErr => {
-                    theReject(theErr);
+        let aTimer = null;
+        if (aTimeLimit > 0) {
+            aPromise = Promise.race([aPromise, new Promise((theResolve) => {
+                aTimer = setTimeout(() => {
+                    aTimer = null;
+                    theResolve("timeout");
+                    this._termCancelAsync();
+                }, aTimeLimit);
+            })]);
+        }
+
+        const aFinishFunc = () => {
+            if (aTimer != null) {
+                clearTimeout(aTimer);
+            }
+            aResult.duration = Date.now() - aResult.startTime;
+            if (this._myCmdResult === aResult) {
+                this._myCmdResult = null;
+            }
+            this._recordCommand(aResult);
+            if (this._myIsPersistMounted && this._myToAutoSync) {
+                this.syncPersistentDir(false).catch((theErr) => {
+                    this.terminalWriteWarning("Warning: " + theErr.message);
                 });
+            }
+            this._emitEvent("command-end", {id: aResult.id, command: aCmd, status: aResult.status,
+                                            duration: aResult.duration, result: aResult});
+            return aResult;
+        };
+        return aPromise.then((theStatus) => {
+            if (theStatus === false) {
+                aResult.status = "error";
+            } else if (typeof theStatus === "string") {
+                aResult.status = theStatus;
+                if (theStatus === "timeout") {
+                    this._termAddMessage("Error: command has been interrupted after " + aTimeLimit + " ms", 4, "js", aResult);
+                }
+            }
+            return aFinishFunc();
+        }).catch((theErr) => {
+            this._termAddMessage(theErr, 4, "js", aResult);
+            aResult.status = "error";
+            return aFinishFunc();
         });
     }
 
     /**
-     * Specify file on the local file system and upload it to emulated file system.
-     * @param[in] {string} theFilePath file path on emulated file system (or empty string to take name from file)
-     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
-     * @return {Promise} evaluation result as promise returning TRUE or Error
+     * Evaluate a command - either a Tcl command or a command implemented in JavaScript.
+     * @param[in] {string} theCmd command to execute
+     * @return {boolean|string|Promise} evaluation result as boolean, status string or promise
      */
-    uploadFile(theFilePath, theToPreload) {
-        if (this._myFileInput == null) {
-            this._myFileInput = document.createElement("input");
-            this._myFileInput.type = "file";
-            this._myFileInput.style = "visibility:hidden";
-            document.body.appendChild(this._myFileInput);
+    _termEvaluateCommandImpl(theCmd) {
+        let aMatch = /^\s*(\S+)(?:\s+([\s\S]*))?$/.exec(theCmd);
+        let aName = aMatch != null ? aMatch[1] : "";
+        let anArgs = aMatch != null && aMatch[2] !== undefined ? aMatch[2].trim() : "";
+        let aJsCmd = this._myJsCommands.get(aName);
+        if (aJsCmd !== undefined) {
+            return this._callJsCommand(aJsCmd, this._parseTclWords(anArgs));
         }
 
-        return new Promise((theResolve, theReject) => {
-            // File Input is a total failure in HTML, as there is NO event for handling user Cancel.
-            // Window focus change event is tracked instead to avoid DRAWEXE handling forever.
-            let hasResult = false;
-            const aCancelListener = () => {
-                window.removeEventListener('focus', aCancelListener);
-                window.removeEventListener('touchend', aCancelListener);
-                setTimeout(() => {
-                    if (!hasResult) {
-                        theReject(new Error("no file chosen"));
-                    }
-                }, 1000); // wait for a second as focus and onchange events happen simultaneously
-            };
-            window.addEventListener('focus', aCancelListener, {once: true});
-            window.addEventListener('touchend', aCancelListener, {once: true});
+        return this.eval(theCmd) === 1;
+    }
 
-            this._myFileInput.onchange = () => {
-                hasResult = true;
-                window.removeEventListener('focus', aCancelListener);
-                window.removeEventListener('touchend', aCancelListener);
-                if (this._myFileInput.files.length == 0) {
-                    theReject(new Error("no file chosen"));
-                    return;
-                }
+    /**
+     * Resolve pending jsasync command with cancellation status.
+     * The command itself cannot be interrupted and will continue running in background,
+     * so that the next jsasync command will be rejected until it finishes.
+     */
+    _termCancelAsync() {
+        if (this.evalAsyncCompleted === undefined) {
+            return;
+        }
 
-                let aFile = this._myFileInput.files[0];
-                let aReader = new FileReader();
-                aReader.onload = () => {
-                    let aFilePath = theFilePath;
-                    if (aFilePath === "") {
-                        aFilePath = aFile.name;
-                    }
+        this.evalAsyncCompleted(DRAWTERM_ASYNC_CANCELLED);
+        this.evalAsyncCompleted = () => {
+            // completion of cancelled command
+            this.evalAsyncCompleted = undefined;
+            this._myIsAsyncRunning = false;
+        };
+    }
 
-                    let aDataArray = new Uint8Array(aReader.result);
-                    this.terminalWriteLine("uploading file '" + aFile.name + "' of size " + aDataArray.length + " bytes to '" + aFilePath + "'...");
-                    this.FS.writeFile(aFilePath, aDataArray);
-                    if (theToPreload) {
-                        // implicitly decode image
-                        this.FS.createPreloadedFile(!aFilePath.startsWith("/") ? this.FS.cwd() : "/",
-                            aFilePath,
-                            aDataArray, true, true,
-                            () => {
-                                theResolve(true);
-                                this.terminalPrintInputLine("");
-                            },
-                            () => {
-                                theReject(new Error("Preload failed"));
-                            },
-                            true); // file is already created
-                    } else {
-                        this.terminalPrintInputLine("");
-                        theResolve(true);
-                    }
-                };
-                aReader.readAsArrayBuffer(aFile);
-            };
-            this._myFileInput.click();
-        })
+    /**
+     * Put command into the execution queue.
+     * @param[in] {string} theCmd command to execute
+     * @param[in] {Object} theOptions optional parameters:
+     *   - toEcho {boolean} print command to terminal (FALSE by default);
+     *   - timeLimit {number} time limit in milliseconds (commandTimeLimit() by default).
+     * @return {DrawCommand} queued command with identifier and "done" promise returning DrawCommandResult
+     */
+    queueCommand(theCmd, theOptions) {
+        let anOptions = theOptions || {};
+        // run multiple commands with delay so that the user will see the progress
+        // (otherwise JavaScript will run all commands in one shot with hanging output)
+        let aCmd = new DrawCommand(theCmd, anOptions.toEcho === true,
+                                   anOptions.timeLimit !== undefined ? anOptions.timeLimit : this._myCmdTimeLimit);
+        aCmd.done = new Promise((theResolve) => {
+            aCmd.onDone = theResolve;
+        });
+        this._myCmdQueue.add(aCmd);
+        this._emitEvent("command-queued", {id: aCmd.id, command: theCmd});
+        if (this._myCmdQueue.extent() == 1 && this._myCmdRunning == null) {
+            setTimeout(() => {
+                this._termPopCommandFromQueue();
+            }, this._myCmdTimeout);
+        }
+        return aCmd;
     }
 
-//#endregion
+    /**
+     * Remove pending command from the execution queue; the command will be reported as cancelled.
+     * @param[in] {number} theId command identifier
+     * @return {boolean} FALSE if command is not found in the queue (already evaluated or running)
+     */
+    removeCommand(theId) {
+        let aCmd = this._myCmdQueue.remove(theId);
+        if (aCmd == null) {
+            return false;
+        }
 
-//!#region Internal methods
+        this._termCancelCommand(aCmd);
+        return true;
+    }
 
     /**
-     * Stab indicating some progress while "DRAWEXE.wasm" is not yet loaded.
+     * Remove all pending commands from the execution queue; the commands will be reported as cancelled.
+     * Pending jsasync command is also resolved with "cancelled" status.
+     * @return {number} number of removed commands
      */
-    _termWasmLoadProgress() {
-        if (this._myIsWasmLoaded) {
-            return;
+    cancelQueue() {
+        let aCmds = this._myCmdQueue.clear();
+        aCmds.forEach((theCmd) => {
+            this._termCancelCommand(theCmd);
+        });
+        if (this._myCmdRunning != null) {
+            this._termCancelAsync();
+        } else if (aCmds.length !== 0) {
+            this._emitEvent("queue-empty", {});
         }
-        this.terminalWrite(".");
-        setTimeout(() => {
-            this._termWasmLoadProgress()
-        }, 1000);
+        return aCmds.length;
     }
 
     /**
-     * Terminal custom key event handler.
-     * @param[in] {KeyboardEvent} theEvent input key
-     * @return {boolean} FALSE if key should be ignored
+     * Function to download data to a file.
+     * @param[in] {Uint8Array} theData data to download
+     * @param[in] {string} theFileName default file name to download data as
+     * @param[in] {string} theType data MIME type
      */
-    _onTermKeyEvent(theEvent) {
-        switch (theEvent.keyCode) {
-            case 38: // ArrowUp
-            case 40: // ArrowDown
-            {
-                // override up/down arrows to navigate through input history
-                let aDir = theEvent.keyCode === 38 ? -1 : 1;
-                if (theEvent.type !== "keydown") {
-                    return false;
-                }
+    downloadDataFile(theData, theFileName, theType) {
+        let aFileBlob = new Blob([theData], {type: theType});
+        let aLinkElem = document.createElement("a");
+        let anUrl = URL.createObjectURL(aFileBlob);
+        aLinkElem.href = anUrl;
+        aLinkElem.download = theFileName;
+        document.body.appendChild(aLinkElem);
+        aLinkElem.click();
+        setTimeout(function () {
+            document.body.removeChild(aLinkElem);
+            window.URL.revokeObjectURL(anUrl);
+        }, 0);
+    }
 
-                // clear current input
-                for (; this._myTermLine.length > 0;) {
-                    this.terminalWrite('\b \b');
-                    this._myTermLine = this._myTermLine.substring(0, this._myTermLine.length - 1);
-                }
-                if (this._myTermHistory.length <= 0) {
-                    return false;
-                }
+    /**
+     * Fetch remote file from specified URL and upload it to emulated file system.
+     * Relative URLs are resolved against base URL, and origins are checked against policy (see setUrlPolicy()).
+     * @param[in] {string} theFileUrl  URL to load (http, https, data or blob URL)
+     * @param[in] {string} theFilePath file path on emulated file system
+     *                                 (or empty string to take name from Content-Disposition header or URL path)
+     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
+     * @param[in] {boolean} theToOverwrite replace existing file (TRUE if undefined)
+     * @return {Promise} evaluation result as promise returning TRUE or Error
+     */
+    uploadUrl(theFileUrl, theFilePath, theToPreload, theToOverwrite) {
+        return this._fetchUrl(theFileUrl).then((theFile) => {
+            let aFilePath = theFilePath;
+            if (aFilePath === "") {
+                aFilePath = theFile.name;
+            }
+            return this._uploadData(theFile.data, theFile.name, aFilePath, theToPreload, theToOverwrite).then((theRes) => {
+                this._recordUpload(aFilePath, null, theFileUrl);
+                return theRes;
+            });
+        });
+    }
 
-                if (this._myTermHistoryPos != -1) {
-                    this._myTermHistoryPos += aDir;
-                    this._myTermHistoryPos = Math.max(Math.min(this._myTermHistoryPos, this._myTermHistory.length - 1), 0);
-                } else {
-                    this._myTermHistoryPos = this._myTermHistory.length - 1;
-                }
+    /**
+     * Return policy applied to URLs loaded by uploadUrl().
+     * @return {Object} policy (see setUrlPolicy())
+     */
+    urlPolicy() {
+        return {base: this._myUrlBase, allowedOrigins: this._myUrlAllowList.slice(), deniedOrigins: this._myUrlDenyList.slice()};
+    }
 
-                let aHist = this._myTermHistory[this._myTermHistoryPos];
-                this._myTermLine = aHist;
-                this._myTermLineCharPos = 0;
-                this.terminalWrite(aHist);
-                return false;
-            }
-            case 37: // ArrowLeft
-            {
-                if (theEvent.type === "keydown") {
-                    if (this._myTermLineCharPos > -this._myTermLine.length) {
-                        --this._myTermLineCharPos;
-                        this.terminalWrite("\x1b[1D");
-                    }
-                }
-                return false;
-            }
-            case 39: // ArrowRight
-            {
-                if (theEvent.type === "keydown") {
-                    if (this._myTermLineCharPos < 0) {
-                        ++this._myTermLineCharPos;
-                        this.terminalWrite("\x1b[1C");
-                    }
-                }
-                return false;
-            }
-            case 8: // Backspace
-            {
-                if (theEvent.type !== "keydown") {
-                    return false;
-                }
+    /**
+     * Set policy applied to URLs loaded by uploadUrl(), so that shared scripts cannot fetch data from unexpected servers.
+     * Origin patterns are compared to URL origin like "https://example.com" and may contain * wildcards
+     * ("https://*.example.com"); blob URLs are checked against origin of their creator, data URLs are always allowed.
+     * @param[in] {Object} thePolicy policy with optional properties (undefined properties are not changed):
+     *   - base {string} base URL for resolving relative URLs (empty string for page location);
+     *   - allowedOrigins {Array<string>} origin patterns allowed for loading (empty list to allow any origin);
+     *   - deniedOrigins {Array<string>} origin patterns denied for loading (taking precedence over allowed ones).
+     */
+    setUrlPolicy(thePolicy) {
+        if (thePolicy.base !== undefined) {
+            this._myUrlBase = thePolicy.base;
+        }
+        if (thePolicy.allowedOrigins !== undefined) {
+            this._myUrlAllowList = thePolicy.allowedOrigins.slice();
+        }
+        if (thePolicy.deniedOrigins !== undefined) {
+            this._myUrlDenyList = thePolicy.deniedOrigins.slice();
+        }
+    }
 
-                if (this._myTermLineCharPos < 0) {
-                    // remove character in the middle
-                    if (this._myTermLineCharPos > -this._myTermLine.length) {
-                        let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos - 1);
-                        let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos);
-                        this.terminalWrite("\b" + aTail + " ");
-                        this.terminalWrite("\x1b[" + (-this._myTermLineCharPos + 1) + "D");
-                        this._myTermLine = aFront + aTail;
-                    }
-                } else if (this._myTermLine.length > 0) {
-                    this.terminalWrite('\b \b');
-                    this._myTermLine = this._myTermLine.substring(0, this._myTermLine.length - 1);
+    /**
+     * Specify files on the local file system and upload them to emulated file system.
+     * @param[in] {string} theFilePath file path on emulated file system for a single chosen file
+     *                                 (or empty string to upload all chosen files into current folder keeping their names)
+     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
+     * @param[in] {boolean} theToOverwrite replace existing files (TRUE if undefined)
+     * @return {Promise} evaluation result as promise returning TRUE or Error
+     */
+    uploadFile(theFilePath, theToPreload, theToOverwrite) {
+        return this._chooseLocalFile().then((theFiles) => {
+            if (theFilePath !== "") {
+                if (theFiles.length !== 1) {
+                    throw new Error("a single file should be chosen for uploading to '" + theFilePath + "'");
                 }
-                return false;
+                return this._readLocalFile(theFiles[0]).then((theData) => {
+                    return this._uploadData(theData, theFiles[0].name, theFilePath, theToPreload, theToOverwrite).then((theRes) => {
+                        this._recordUpload(theFilePath, theData, null);
+                        return theRes;
+                    });
+                });
             }
-            case 46: // Delete
-            {
-                if (theEvent.type === "keydown"
-                    && this._myTermLineCharPos < 0) {
-                    let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos);
-                    let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos + 1);
-                    this.terminalWrite(aTail + " ");
-                    this.terminalWrite("\x1b[" + (-this._myTermLineCharPos) + "D");
-                    this._myTermLine = aFront + aTail;
-                    ++this._myTermLineCharPos;
+
+            return this.uploadFiles(theFiles, "", {toPreload: theToPreload, toOverwrite: theToOverwrite}).then((theItems) => {
+                let aFailList = theItems.filter(theItem => theItem.status === "error")
+                                        .map(theItem => theItem.error).join("\r\n");
+                if (aFailList !== "") {
+                    throw new Error(aFailList);
                 }
-                return false;
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Upload local files to emulated file system keeping their relative folder structure.
+     * @param[in] {FileList|Array} theFiles files to upload; each item is either File (relative path is taken
+     *                                      from File.webkitRelativePath when defined) or {file, path} pair
+     *                                      with explicit relative path
+     * @param[in] {string} theTargetDir folder on emulated file system to upload files into (empty string for current folder)
+     * @param[in] {Object} theOptions optional parameters:
+     *   - toPreload {boolean} decode image files using Emscripten plugins (TRUE by default);
+     *   - toOverwrite {boolean} replace existing files (TRUE by default);
+     *   - onFileStatus {function} callback receiving {name, path, status, error} item on each status change,
+     *     where status is one of "uploading", "ok" or "error".
+     * @return {Promise<Array<Object>>} promise returning list of {name, path, status, error} items (never rejected)
+     */
+    async uploadFiles(theFiles, theTargetDir, theOptions) {
+        let anOptions = theOptions || {};
+        let toPreload = anOptions.toPreload !== undefined ? anOptions.toPreload : true;
+        let aDirPrefix = theTargetDir === "" || theTargetDir.endsWith("/") ? theTargetDir : theTargetDir + "/";
+        let anItems = Array.from(theFiles).map((theFile) => {
+            let aFile = theFile instanceof Blob ? theFile : theFile.file;
+            let aRelPath = theFile instanceof Blob ? (theFile.webkitRelativePath || theFile.name) : theFile.path;
+            return {name: aFile.name, path: aDirPrefix + aRelPath.replace(/^\/+/, ""), status: "uploading", error: "", file: aFile};
+        });
+
+        const aReportFunc = (theItem) => {
+            if (typeof anOptions.onFileStatus === "function") {
+                anOptions.onFileStatus({name: theItem.name, path: theItem.path, status: theItem.status, error: theItem.error});
             }
-            case 33: // PageUp
-            case 34: // PageDown
-            {
-                if (theEvent.type === "keydown") {
-                    this._myTerm.scrollPages(theEvent.keyCode == 33 ? -1 : 1);
+        };
+        anItems.forEach(aReportFunc);
+        for (let anItem of anItems) {
+            try {
+                let aDir = anItem.path.substring(0, anItem.path.lastIndexOf("/"));
+                if (aDir !== "") {
+                    this._mkdirTree(aDir);
                 }
-                return false;
+                let aData = await this._readLocalFile(anItem.file);
+                await this._uploadData(aData, anItem.name, anItem.path, toPreload, anOptions.toOverwrite);
+                this._recordUpload(anItem.path, aData, null);
+                anItem.status = "ok";
+            } catch (theErr) {
+                anItem.status = "error";
+                anItem.error = "file '" + anItem.path + "' cannot be uploaded with " + theErr;
+                this.terminalWriteError("Error: " + anItem.error);
             }
-            case 35: // End
-            {
-                if (theEvent.type === "keydown") {
-                    if (this._myTermLineCharPos < 0) {
-                        let aDelta = -this._myTermLineCharPos;
-                        this._myTermLineCharPos = 0;
-                        this.terminalWrite("\x1b[" + aDelta + "C");
-                    }
-                }
-                return false;
+            aReportFunc(anItem);
+            delete anItem.file;
+        }
+        return anItems;
+    }
+
+    /**
+     * Upload model file and import it into Draw session using reader command detected from file extension and content.
+     * Note that method evaluates Draw commands directly, so that it should not be called while another command
+     * is being evaluated - consider evaluating jsopen command via termEvaluateCommand() instead.
+     * @param[in] {string} theSource URL to load, path on emulated file system or . to show open file dialog
+     * @param[in] {Object} theOptions optional parameters:
+     *   - name {string} name of the shape to create (derived from file name by default);
+     *   - format {string} format name from DRAWTERM_MODEL_FORMATS to skip detection;
+     *   - path {string} file path on emulated file system to upload file to (file name by default);
+     *   - toDisplay {boolean} display shape in 3D viewer (TRUE by default, ignored in headless mode);
+     *   - toFit {boolean} fit view to displayed shape (TRUE by default).
+     * @return {Promise<Object>} promise returning {name, format, path} of imported model
+     */
+    async openModel(theSource, theOptions) {
+        let anOptions = theOptions || {};
+        let aPath = anOptions.path !== undefined ? anOptions.path : "";
+        if (theSource === ".") {
+            let aFiles = await this._chooseLocalFile();
+            if (aPath === "") {
+                aPath = aFiles[0].name;
             }
-            case 36: // Home
-            {
-                if (theEvent.type === "keydown") {
-                    if (this._myTermLineCharPos > -this._myTermLine.length) {
-                        let aDelta = this._myTermLine.length + this._myTermLineCharPos;
-                        this._myTermLineCharPos = -this._myTermLine.length;
-                        this.terminalWrite("\x1b[" + aDelta + "D");
-                    }
-                }
-                return false;
+            let aData = await this._readLocalFile(aFiles[0]);
+            await this._uploadData(aData, aFiles[0].name, aPath, false);
+            this._recordUpload(aPath, aData, null);
+        } else if (this.FS.analyzePath(theSource).exists) {
+            // file already exists on emulated file system
+            aPath = theSource;
+        } else {
+            let aFile = await this._fetchUrl(theSource);
+            if (aPath === "") {
+                aPath = aFile.name;
             }
-            case 45: // insert
-            {
-                return false;
+            await this._uploadData(aFile.data, aFile.name, aPath, false);
+        }
+
+        let aFormat = null;
+        if (anOptions.format !== undefined) {
+            aFormat = DRAWTERM_MODEL_FORMATS.find(theFormat => theFormat.format.toLowerCase() === anOptions.format.toLowerCase());
+            if (aFormat === undefined) {
+                throw new Error("unknown format '" + anOptions.format + "'");
             }
-            case 112: // F1
-            case 113:
-            case 114:
-            case 115:
-            case 116:
-            case 117:
-            case 118:
-            case 119:
-            case 120:
-            case 121:
-            case 122:
-            case 123: // F12
-            {
-                return false;
+        } else {
+            aFormat = this._detectModelFormat(aPath);
+        }
+
+        let aName = anOptions.name;
+        if (aName === undefined || aName === "") {
+            aName = aPath.split("/").pop().replace(/\.[^.]*$/, "").replace(/[^A-Za-z0-9_]/g, "_");
+            if (aName === "" || /^[0-9]/.test(aName)) {
+                aName = "s" + aName;
             }
         }
 
-        // handle copy-paste via Ctrl+C and Ctrl+V
-        if (theEvent.key === 'c' && theEvent.ctrlKey) {
-            let isCopyDone = document.execCommand('copy');
-            return false;
+        if (this._tclEvalSilent("info commands " + aFormat.reader).output.trim() === "") {
+            throw new Error(aFormat.format + " reader command '" + aFormat.reader + "' is not available - "
+                          + "load plugin with 'pload " + aFormat.plugin + "' first");
         }
-        if (theEvent.key === 'v' && theEvent.ctrlKey) {
-            return false;
+        if (this.eval(aFormat.command(this._tclQuote(aPath), this._tclQuote(aName))) !== 1) {
+            throw new Error(aFormat.format + " file '" + aPath + "' cannot be read by '" + aFormat.reader + "'");
         }
 
-        return true;
+        if (anOptions.toDisplay !== false && !this.isHeadless()) {
+            if (this._tclEvalSilent("info commands vdisplay").output.trim() === "") {
+                throw new Error("shape '" + aName + "' cannot be displayed - load plugin with 'pload VISUALIZATION' first");
+            }
+            if (this._tclEvalSilent("vviewlist").output.trim() === "") {
+                this.eval("vinit");
+            }
+            if (this.eval("vdisplay -dispMode 1 " + this._tclQuote(aName)) !== 1) {
+                throw new Error("shape '" + aName + "' cannot be displayed");
+            }
+            if (anOptions.toFit !== false) {
+                this.eval("vfit");
+            }
+        }
+        return {name: aName, format: aFormat.format, path: aPath};
     }
 
     /**
-     * Terminal data input callback.
-     * @param[in] {string} theEvent input data as string
+     * Write shapes into a file of specified format and download it.
+     * Several shapes are combined into a compound, which is written as is
+     * or added as assembly into temporary XDE document for writers accepting documents.
+     * The file is written into temporary folder, which is removed after downloading.
+     * Note that method evaluates Draw commands directly (see openModel()).
+     * @param[in] {Array<string>} theShapes names of shapes to export
+     * @param[in] {string} theFileName name of the file to download (might include subfolders, like "out/model.step")
+     * @param[in] {Object} theOptions optional parameters:
+     *   - format {string} format name from DRAWTERM_EXPORT_FORMATS (detected from file extension by default).
+     * @return {Promise<Object>} promise returning {format, files} with format name and list of downloaded file names
      */
-    _onTermDataInput(theEvent) {
+    async exportModel(theShapes, theFileName, theOptions) {
+        let anOptions = theOptions || {};
+        if (theShapes.length === 0) {
+            throw new Error("no shapes to export");
+        }
+
+        let aFormat = undefined;
+        if (anOptions.format !== undefined) {
+            aFormat = DRAWTERM_EXPORT_FORMATS.find(theFormat => theFormat.format.toLowerCase() === anOptions.format.toLowerCase());
+            if (aFormat === undefined) {
+                throw new Error("unknown format '" + anOptions.format + "'");
+            }
+        } else {
+            let anExt = theFileName.includes(".") ? theFileName.split(".").pop().toLowerCase() : "";
+            aFormat = DRAWTERM_EXPORT_FORMATS.find(theFormat => theFormat.exts.includes(anExt));
+            if (aFormat === undefined) {
+                throw new Error("format cannot be detected from file name '" + theFileName + "' - specify -format");
+            }
+        }
+        if (this._tclEvalSilent("info commands " + aFormat.writer).output.trim() === "") {
+            throw new Error(aFormat.format + " writer command '" + aFormat.writer + "' is not available - "
+                          + "load plugin with 'pload " + aFormat.plugin + "' first");
+        }
+        theShapes.forEach((theShape) => {
+            if (this._tclEvalSilent("isdraw " + this._tclQuote(theShape)).output.trim() !== "1") {
+                throw new Error("shape '" + theShape + "' is not defined");
+            }
+        });
+
+        let aTmpDir = "/tmp/jsexport" + Date.now();
+        let aFilePath = aTmpDir + "/" + theFileName;
+        let aFileDir = aFilePath.substring(0, aFilePath.lastIndexOf("/"));
+        let aBaseName = aFilePath.substring(aFilePath.lastIndexOf("/") + 1);
+        let aCompName = "";
+        let aDocName = "";
+        let aDownloaded = [];
+        try {
+            this.FS.mkdirTree(aFileDir);
+            let aName = theShapes[0];
+            if (theShapes.length > 1) {
+                aCompName = this._uniqueTclVarName("_jsexport_comp");
+                this._termEvalChecked("compound " + theShapes.map(theShape => this._tclQuote(theShape)).join(" ") + " " + aCompName);
+                aName = aCompName;
+            }
+            if (aFormat.isXde) {
+                // XDE writers expect document even for a single shape; compound of several shapes is added as assembly
+                aDocName = this._uniqueTclVarName("_jsexport_doc");
+                this._termEvalChecked("XNewDoc " + aDocName);
+                this._termEvalChecked("XAddShape " + aDocName + " " + this._tclQuote(aName) + " " + (aCompName !== "" ? 1 : 0));
+                aName = aDocName;
+            }
+            this._termEvalChecked(aFormat.command(this._tclQuote(aName), this._tclQuote(aFilePath)));
+
+            // writer might put additional files next to the main one (like .bin buffers of glTF)
+            let aFiles = this.FS.readdir(aFileDir).filter(theName => theName !== "." && theName !== ".."
+                                                                  && !this.FS.isDir(this.FS.stat(aFileDir + "/" + theName).mode));
+            aFiles.sort((theA, theB) => (theA === aBaseName ? -1 : (theB === aBaseName ? 1 : theA.localeCompare(theB))));
+            aFiles.forEach((theName) => {
+                let aData = this.FS.readFile(aFileDir + "/" + theName);
+                this.terminalWriteLine("downloading file '" + theName + "' of size " + aData.length + " bytes...");
+                this.downloadDataFile(aData, theName, theName === aBaseName ? aFormat.mime : this._fileMimeType(theName));
+                aDownloaded.push(theName);
+            });
+        } finally {
+            if (aDocName !== "") {
+                this._tclEvalSilent("Close " + aDocName);
+            }
+            if (aCompName !== "") {
+                this._tclEvalSilent("unset " + aCompName);
+            }
+            const aRemoveFunc = (thePath) => {
+                if (this.FS.isDir(this.FS.stat(thePath).mode)) {
+                    this.FS.readdir(thePath).forEach((theName) => {
+                        if (theName !== "." && theName !== "..") {
+                            aRemoveFunc(thePath + "/" + theName);
+                        }
+                    });
+                    this.FS.rmdir(thePath);
+                } else {
+                    this.FS.unlink(thePath);
+                }
+            };
+            try {
+                aRemoveFunc(aTmpDir);
+            } catch (theErr) {
+                //
+            }
+        }
+        return {format: aFormat.format, files: aDownloaded};
+    }
+
+    /**
+     * Capture image of the active 3D view (created by vinit) using vdump command.
+     * The image can be rendered at size different from the viewer canvas (offscreen).
+     * @param[in] {Object} theOptions optional parameters:
+     *   - width {number} image width in pixels (viewer canvas width by default or computed from height keeping aspect ratio);
+     *   - height {number} image height in pixels (viewer canvas height by default or computed from width keeping aspect ratio);
+     *   - format {string} image format listed in DRAWTERM_CAPTURE_FORMATS ("png" by default);
+     *   - quality {number} image quality within 0..1 range for lossy formats;
+     *   - transparent {boolean} keep alpha channel of the background (FALSE by default).
+     * @return {Promise<Blob>} promise returning image data
+     */
+    async captureView(theOptions) {
+        let anOptions = theOptions || {};
+        let aFormat = anOptions.format !== undefined ? anOptions.format.toLowerCase() : "png";
+        aFormat = aFormat === "jpg" ? "jpeg" : aFormat;
+        if (!DRAWTERM_CAPTURE_FORMATS.includes(aFormat)) {
+            throw new Error("unsupported image format '" + anOptions.format + "'");
+        } else if (anOptions.transparent === true && aFormat === "jpeg") {
+            throw new Error("JPEG format does not support transparency");
+        } else if (this._tclEvalSilent("info commands vdump").output.trim() === "") {
+            throw new Error("view cannot be captured - load plugin with 'pload VISUALIZATION' first");
+        } else if (this._tclEvalSilent("vviewlist").output.trim() === "") {
+            throw new Error("there is no active 3D view - create it with 'vinit' first");
+        }
+
+        let aWidth = anOptions.width;
+        let aHeight = anOptions.height;
+        if (this.canvas != null && this.canvas.width > 0 && this.canvas.height > 0) {
+            if (aWidth === undefined && aHeight === undefined) {
+                aWidth = this.canvas.width;
+                aHeight = this.canvas.height;
+            } else if (aHeight === undefined) {
+                aHeight = Math.round(aWidth * this.canvas.height / this.canvas.width);
+            } else if (aWidth === undefined) {
+                aWidth = Math.round(aHeight * this.canvas.width / this.canvas.height);
+            }
+        }
+
+        let aPath = "/tmp/jscapture" + Date.now() + ".png";
+        let aCmd = "vdump " + aPath + " -buffer " + (anOptions.transparent === true ? "rgba" : "rgb");
+        if ((aWidth !== undefined && !(aWidth > 0)) || (aHeight !== undefined && !(aHeight > 0))) {
+            throw new Error("wrong image size " + aWidth + "x" + aHeight);
+        }
+        aCmd += (aWidth !== undefined ? " -width " + Math.round(aWidth) : "")
+              + (aHeight !== undefined ? " -height " + Math.round(aHeight) : "");
+        let aRes = this._tclEvalSilent(aCmd);
+        if (!aRes.isOk || !this.FS.analyzePath(aPath).exists) {
+            throw new Error("view cannot be captured" + (aRes.output !== "" ? ":\n" + aRes.output : ""));
+        }
+
+        let aData = this.FS.readFile(aPath);
+        this.FS.unlink(aPath);
+        let aBlob = new Blob([aData], {type: "image/png"});
+        return aFormat === "png" ? aBlob : this._convertImage(aBlob, "image/" + aFormat, anOptions.quality);
+    }
+
+    /**
+     * Start recording of evaluated commands into a replayable Tcl script (previous recording is discarded).
+     * Files uploaded from local file system are embedded into the script as data URLs.
+     * @param[in] {Object} theOptions optional parameters:
+     *   - toRecordOutput {boolean} include command output as comments (FALSE by default).
+     */
+    startRecording(theOptions) {
+        let anOptions = theOptions || {};
+        this._myRecord = {lines: ["# Draw session recorded on " + new Date().toISOString(),
+                                  "# replay with 'jsrecord replay fileName' to wait for asynchronous commands", ""],
+                          uploads: [],
+                          toRecordOutput: anOptions.toRecordOutput === true,
+                          isActive: true};
+    }
+
+    /**
+     * Stop recording of evaluated commands; recorded script remains available via recordedScript().
+     * @return {string} recorded script
+     */
+    stopRecording() {
+        if (this._myRecord == null) {
+            return "";
+        }
+        this._myRecord.isActive = false;
+        return this.recordedScript();
+    }
+
+    /**
+     * Return TRUE if evaluated commands are being recorded.
+     * @return {boolean} recording state
+     */
+    isRecording() {
+        return this._myRecord != null && this._myRecord.isActive;
+    }
+
+    /**
+     * Return script recorded since the last startRecording() call.
+     * @return {string} recorded script (empty string if recording has not been started)
+     */
+    recordedScript() {
+        return this._myRecord != null ? this._myRecord.lines.join("\n") + "\n" : "";
+    }
+
+    /**
+     * Evaluate script command-by-command waiting for completion of asynchronous commands (like jsupload).
+     * Unlike runScript(), commands are evaluated immediately bypassing the queue,
+     * so that method could be called from a command implemented in JavaScript.
+     * @param[in] {string} theScript script as a line-separated string
+     * @return {Promise<number>} promise returning number of evaluated commands or rejected on the first failed command
+     */
+    async replayScript(theScript) {
+        let aCmds = this.splitScript(theScript);
+        for (let aCmd of aCmds) {
+            let aStatus = await this._termEvaluateCommandImpl(aCmd.command);
+            if (aStatus !== true) {
+                throw new Error("line " + aCmd.line + ": command '" + aCmd.command + "' has failed");
+            }
+        }
+        return aCmds.length;
+    }
+
+    /**
+     * Pack Draw session into a single JSON document: Draw variables (written by save command),
+     * files uploaded into emulated file system, files within persistent folder, commands history and view camera.
+     * @param[in] {Object} theOptions optional parameters:
+     *   - paths {Array<string>} additional files on emulated file system to include.
+     * @return {Promise<string>} promise returning session document to be passed to loadSession()
+     */
+    async saveSession(theOptions) {
+        let anOptions = theOptions || {};
+        let aSession = {format: DRAWTERM_SESSION_FORMAT, version: 1, date: new Date().toISOString(), cwd: this.FS.cwd(),
+                        history: this._myTermHistory.slice(), variables: [], files: [], view: null};
+
+        let aPaths = new Set(anOptions.paths !== undefined ? anOptions.paths : []);
+        this._myUploadedFiles.forEach(thePath => aPaths.add(thePath));
+        if (this._myIsPersistMounted) {
+            const aWalkFunc = (theDir) => {
+                this.FS.readdir(theDir).forEach((theName) => {
+                    if (theName === "." || theName === "..") {
+                        return;
+                    }
+                    let aPath = theDir + "/" + theName;
+                    if (this.FS.isDir(this.FS.stat(aPath).mode)) {
+                        aWalkFunc(aPath);
+                    } else {
+                        aPaths.add(aPath);
+                    }
+                });
+            };
+            aWalkFunc(this._myPersistDir);
+        }
+        aPaths.forEach((thePath) => {
+            if (this.FS.analyzePath(thePath).exists) {
+                aSession.files.push({path: thePath, data: this._base64Encode(this.FS.readFile(thePath))});
+            }
+        });
+
+        let aTmpDir = "/tmp/jssession" + Date.now();
+        this.FS.mkdirTree(aTmpDir);
+        try {
+            this._tclListWords("directory").forEach((theName, theIndex) => {
+                if (theName.startsWith(DRAWTERM_VALIDATION_PREFIX)) {
+                    return;
+                }
+                let aPath = aTmpDir + "/" + theIndex;
+                if (!this._tclEvalSilent("save " + this._tclQuote(theName) + " " + aPath).isOk || !this.FS.analyzePath(aPath).exists) {
+                    this.terminalWriteWarning("Warning: variable '" + theName + "' cannot be saved");
+                    return;
+                }
+                aSession.variables.push({name: theName, data: this._base64Encode(this.FS.readFile(aPath))});
+                this.FS.unlink(aPath);
+            });
+        } finally {
+            this.FS.rmdir(aTmpDir);
+        }
+
+        if (this._tclEvalSilent("info commands vviewparams").output.trim() !== ""
+         && this._tclEvalSilent("vviewlist").output.trim() !== "") {
+            aSession.view = this._parseViewParams(this._tclEvalSilent("vviewparams").output);
+        }
+        return JSON.stringify(aSession);
+    }
+
+    /**
+     * Restore Draw session saved by saveSession(): write files, restore Draw variables, commands history and view camera.
+     * Restored shapes are displayed in the viewer if session has view camera.
+     * @param[in] {string|Uint8Array|Blob} theSession session document
+     * @return {Promise<Object>} promise returning {variables, files} numbers of restored variables and files
+     */
+    async loadSession(theSession) {
+        let aText = theSession;
+        if (theSession instanceof Blob) {
+            aText = await theSession.text();
+        } else if (typeof theSession !== "string") {
+            aText = new TextDecoder().decode(theSession);
+        }
+        let aSession = JSON.parse(aText);
+        if (aSession.format !== DRAWTERM_SESSION_FORMAT) {
+            throw new Error("file is not a Draw session");
+        }
+
+        aSession.files.forEach((theFile) => {
+            let aDir = theFile.path.substring(0, theFile.path.lastIndexOf("/"));
+            if (aDir !== "") {
+                this.FS.mkdirTree(aDir);
+            }
+            this.FS.writeFile(theFile.path, this._base64Decode(theFile.data));
+            this._myUploadedFiles.add(theFile.path);
+        });
+        if (aSession.cwd !== undefined && this.FS.analyzePath(aSession.cwd).exists) {
+            this.FS.chdir(aSession.cwd);
+        }
+
+        let aRestored = [];
+        let aTmpPath = "/tmp/jssession" + Date.now();
+        aSession.variables.forEach((theVar) => {
+            this.FS.writeFile(aTmpPath, this._base64Decode(theVar.data));
+            if (this._tclEvalSilent("restore " + aTmpPath + " " + this._tclQuote(theVar.name)).isOk) {
+                aRestored.push(theVar.name);
+            } else {
+                this.terminalWriteWarning("Warning: variable '" + theVar.name + "' cannot be restored");
+            }
+            this.FS.unlink(aTmpPath);
+        });
+        this._myTermHistory = aSession.history.concat(this._myTermHistory);
+
+        if (aSession.view != null && !this.isHeadless() && this._tclEvalSilent("info commands vviewparams").output.trim() !== "") {
+            if (this._tclEvalSilent("vviewlist").output.trim() === "") {
+                this.eval("vinit");
+            }
+            aRestored.forEach((theName) => {
+                if (this._tclEvalSilent("whatis " + this._tclQuote(theName)).output.includes("is a shape")) {
+                    this._tclEvalSilent("vdisplay -dispMode 1 " + this._tclQuote(theName));
+                }
+            });
+            let aParams = DRAWTERM_SESSION_VIEW_PARAMS.filter(theParam => aSession.view[theParam] !== undefined)
+                .map(theParam => "-" + theParam + " " + aSession.view[theParam].join(" "));
+            if (aParams.length !== 0) {
+                this._tclEvalSilent("vviewparams " + aParams.join(" "));
+            }
+        }
+        return {variables: aRestored.length, files: aSession.files.length};
+    }
+
+    /**
+     * Return folder on emulated file system backed by IndexedDB.
+     * @return {string} folder path or empty string if disabled
+     */
+    persistentDir() {
+        return this._myPersistDir;
+    }
+
+    /**
+     * Set folder on emulated file system to be backed by IndexedDB; should be called before init().
+     * @param[in] {string} thePath folder path or empty string to disable persistent storage
+     */
+    setPersistentDir(thePath) {
+        this._myPersistDir = thePath;
+    }
+
+    /**
+     * Return TRUE if persistent folder is synchronized automatically after commands modifying it.
+     */
+    toAutoSync() {
+        return this._myToAutoSync;
+    }
+
+    /**
+     * Set if persistent folder should be synchronized automatically after commands modifying it.
+     * @param[in] {boolean} theToSync new flag value
+     */
+    setAutoSync(theToSync) {
+        this._myToAutoSync = theToSync;
+    }
+
+    /**
+     * Return TRUE if persistent folder has been mounted.
+     */
+    isPersistentDirMounted() {
+        return this._myIsPersistMounted;
+    }
+
+    /**
+     * Synchronize persistent folder with IndexedDB.
+     * Only files modified since the previous synchronization (detected by size and modification time) are saved.
+     * Synchronization requests are serialized, so that the next one starts after completion of the previous one.
+     * @param[in] {boolean} theToLoad when TRUE - reload folder content from IndexedDB, otherwise save modifications
+     * @return {Promise} promise returning TRUE or Error
+     */
+    syncPersistentDir(theToLoad) {
+        if (!this._myIsPersistMounted) {
+            return Promise.reject(new Error("persistent folder is not mounted"));
+        }
+
+        const aSyncFunc = () => {
+            let aPromise = theToLoad ? this._loadPersistentDir() : this._savePersistentDir();
+            return aPromise.then(() => true).catch((theErr) => {
+                throw new Error("synchronization of '" + this._myPersistDir + "' with IndexedDB has failed: " + theErr);
+            });
+        };
+        let aPromise = this._myPersistSync.then(aSyncFunc, aSyncFunc);
+        this._myPersistSync = aPromise.catch(() => false);
+        return aPromise;
+    }
+
+    /**
+     * Request persistent storage from the browser, so that IndexedDB content is not evicted under storage pressure.
+     * @return {Promise<boolean>} promise returning TRUE if storage is persistent
+     */
+    requestPersistentStorage() {
+        if (typeof navigator === "undefined" || navigator.storage == null || typeof navigator.storage.persist !== "function") {
+            return Promise.reject(new Error("Storage API is unavailable"));
+        }
+        return navigator.storage.persist();
+    }
+
+    /**
+     * Collect persistent storage usage report.
+     * @return {Promise<Object>} promise returning object with properties:
+     *   - dir {string} persistent folder path;
+     *   - isMounted {boolean} persistent folder mounting state;
+     *   - autoSync {boolean} automatic synchronization flag;
+     *   - isDirty {boolean} flag indicating modifications not yet synchronized;
+     *   - nbFiles {number} number of files within persistent folder;
+     *   - size {number} size of files within persistent folder in bytes;
+     *   - usage {number} storage usage by the page origin in bytes (-1 if unknown);
+     *   - quota {number} storage quota for the page origin in bytes (-1 if unknown);
+     *   - isPersisted {boolean} flag indicating that storage will not be evicted by browser.
+     */
+    async persistentStorageReport() {
+        let aReport = {dir: this._myPersistDir, isMounted: this._myIsPersistMounted, autoSync: this._myToAutoSync,
+                       isDirty: false, nbFiles: 0, size: 0, usage: -1, quota: -1, isPersisted: false};
+        if (this._myIsPersistMounted) {
+            let aChanges = this._persistentDirChanges();
+            aReport.isDirty = aChanges.changed.length !== 0 || aChanges.removed.length !== 0;
+            const aWalkFunc = (theDir) => {
+                this.FS.readdir(theDir).forEach((theName) => {
+                    if (theName === "." || theName === "..") {
+                        return;
+                    }
+                    let aStat = this.FS.stat(theDir + "/" + theName);
+                    if (this.FS.isDir(aStat.mode)) {
+                        aWalkFunc(theDir + "/" + theName);
+                    } else {
+                        ++aReport.nbFiles;
+                        aReport.size += aStat.size;
+                    }
+                });
+            };
+            aWalkFunc(this._myPersistDir);
+        }
+
+        if (typeof navigator !== "undefined" && navigator.storage != null) {
+            if (typeof navigator.storage.estimate === "function") {
+                let anEstimate = await navigator.storage.estimate();
+                aReport.usage = anEstimate.usage;
+                aReport.quota = anEstimate.quota;
+            }
+            if (typeof navigator.storage.persisted === "function") {
+                aReport.isPersisted = await navigator.storage.persisted();
+            }
+        }
+        return aReport;
+    }
+
+    /**
+     * Return Cache Storage name for WASM builds.
+     * @return {string} cache name or empty string if caching is disabled
+     */
+    wasmCacheName() {
+        return this._myWasmCacheName;
+    }
+
+    /**
+     * Set Cache Storage name for WASM builds; should be called before init().
+     * Cached files are validated against SHA-256 hashes in DRAWTERM_WASM_MANIFEST of the build
+     * and used without validation when manifest cannot be fetched (offline).
+     * @param[in] {string} theName cache name (DRAWTERM_WASM_CACHE by default) or empty string to disable caching
+     */
+    setWasmCacheName(theName) {
+        this._myWasmCacheName = theName;
+    }
+
+    /**
+     * Return report on cached WASM builds and page files (cached by drawServiceWorker.js).
+     * @return {Promise<Object>} promise returning {isSupported, caches, size} with the list of
+     *         {name, files, size} caches (files is a list of {url, size, hash}) and their summary size in bytes
+     */
+    async wasmCacheReport() {
+        let aReport = {isSupported: typeof caches !== "undefined", caches: [], size: 0};
+        if (!aReport.isSupported) {
+            return aReport;
+        }
+
+        for (let aName of await this._wasmCacheNames()) {
+            let aCache = await caches.open(aName);
+            let aCacheReport = {name: aName, files: [], size: 0};
+            for (let aRequest of await aCache.keys()) {
+                let aResponse = await aCache.match(aRequest);
+                let aSize = Number(aResponse.headers.get("Content-Length"));
+                if (!aSize) {
+                    aSize = (await aResponse.blob()).size;
+                }
+                aCacheReport.files.push({url: aRequest.url, size: aSize, hash: aResponse.headers.get("X-Content-Hash") || ""});
+                aCacheReport.size += aSize;
+            }
+            aReport.caches.push(aCacheReport);
+            aReport.size += aCacheReport.size;
+        }
+        return aReport;
+    }
+
+    /**
+     * Remove cached WASM builds and page files, so that they are downloaded again on next loading.
+     * @return {Promise<number>} promise returning the number of removed caches
+     */
+    async clearWasmCache() {
+        if (typeof caches === "undefined") {
+            return 0;
+        }
+
+        let aNames = await this._wasmCacheNames();
+        for (let aName of aNames) {
+            await caches.delete(aName);
+        }
+        return aNames.length;
+    }
+
+    /**
+     * Evaluate Tcl script and return its result.
+     * Unlike eval(), the result is returned instead of being printed, while printed output is captured.
+     * @param[in] {string} theScript script to evaluate
+     * @return {Object} object with properties:
+     *   - code {number} Tcl completion code (0 for TCL_OK, 1 for TCL_ERROR, 2 for TCL_RETURN, 3 for TCL_BREAK, 4 for TCL_CONTINUE);
+     *   - result {string} Tcl result or error message (retrieved exactly, see _tclReadVar());
+     *   - output {string} captured output messages of the script (stdout and stderr) as a line-separated string.
+     */
+    tclEval(theScript) {
+        this._tclEvalSilent("set ::_jsscript " + this._tclQuote(theScript));
+        // the last command returns empty result, so that only output of the script itself is printed
+        let anEval = this._tclEvalSilent("set ::_jscode [catch $::_jsscript ::_jsresult]; list");
+        let aCode = this._tclReadVar("::_jscode");
+        let aResult = this._tclReadVar("::_jsresult");
+        this._tclEvalSilent("unset -nocomplain ::_jsscript ::_jscode ::_jsresult");
+        if (!anEval.isOk || !aCode.isOk) {
+            throw new Error("Tcl script cannot be evaluated" + (anEval.output !== "" ? ":\n" + anEval.output : ""));
+        }
+        return {code: parseInt(aCode.value), result: aResult.value, output: anEval.output};
+    }
+
+    /**
+     * Return value of Tcl variable.
+     * @param[in] {string} theName variable name (like "x", "::x" or "arr(idx)")
+     * @return {string} variable value or undefined if variable does not exist
+     */
+    getTclVar(theName) {
+        let aRes = this._tclReadVar(theName);
+        return aRes.isOk ? aRes.value : undefined;
+    }
+
+    /**
+     * Set value of global Tcl variable.
+     * @param[in] {string} theName variable name (like "x" or "arr(idx)")
+     * @param[in] {string|number|boolean} theValue new value
+     */
+    setTclVar(theName, theValue) {
+        let aRes = this._tclEvalSilent("set ::" + this._tclQuote(theName.replace(/^::/, "")) + " " + this._tclQuote(String(theValue)));
+        if (!aRes.isOk) {
+            throw new Error("can't set \"" + theName + "\"" + (aRes.output !== "" ? ":\n" + aRes.output : ""));
+        }
+    }
+
+    /**
+     * Return value of Draw numeric variable (defined by dset command).
+     * @param[in] {string} theName Draw variable name
+     * @return {number} variable value
+     */
+    getDrawNumber(theName) {
+        let aRes = this._tclResult("dval " + this._tclQuote(theName));
+        let aValue = aRes.isOk ? parseFloat(aRes.result) : NaN;
+        if (isNaN(aValue)) {
+            throw new Error("Draw variable '" + theName + "' is not a number");
+        }
+        return aValue;
+    }
+
+    /**
+     * Set value of Draw numeric variable (like dset command).
+     * @param[in] {string} theName Draw variable name
+     * @param[in] {number} theValue new value
+     */
+    setDrawNumber(theName, theValue) {
+        if (typeof theValue !== "number" || !isFinite(theValue)) {
+            throw new TypeError("value of Draw variable '" + theName + "' should be a finite number");
+        }
+        let aRes = this._tclEvalSilent("dset " + this._tclQuote(theName) + " " + theValue);
+        if (!aRes.isOk) {
+            throw new Error("Draw variable '" + theName + "' cannot be set" + (aRes.output !== "" ? ":\n" + aRes.output : ""));
+        }
+    }
+
+    /**
+     * Collect shape properties by Draw commands whatis, nbshapes, bounding, vprops, sprops, tolerance and checkshape.
+     * @param[in] {string} theName name of Draw shape variable
+     * @return {Object} object with properties:
+     *   - name {string} shape name;
+     *   - type {string} shape type (like "SOLID" or "COMPOUND");
+     *   - orientation {string} shape orientation (like "FORWARD");
+     *   - counts {Object} numbers of sub-shapes per type (vertex, edge, wire, face, shell, solid, compsolid, compound, shape);
+     *   - bounds {Object} bounding box as {min, max} pair of [x, y, z] arrays or NULL for empty shape;
+     *   - volume {number} volume of solids;
+     *   - area {number} area of faces;
+     *   - centerOfMass {Array<number>} center of mass by volume (or by area for shapes without volume) or NULL;
+     *   - tolerance {Object} {min, avg, max} tolerance with face, edge and vertex entries of the same layout
+     *                        or NULL for shape without sub-shapes;
+     *   - isValid {boolean} checkshape result;
+     *   - faults {Array<string>} checkshape messages for invalid shape.
+     */
+    inspectShape(theName) {
+        if (this._tclEvalSilent("isdraw " + this._tclQuote(theName)).output.trim() !== "1") {
+            throw new Error("shape '" + theName + "' does not exist");
+        }
+        ["whatis", "nbshapes", "bounding", "vprops", "sprops", "tolerance", "checkshape"].forEach((theCmd) => {
+            if (this._tclEvalSilent("info commands " + theCmd).output.trim() === "") {
+                throw new Error("command '" + theCmd + "' is not available - load plugin with 'pload MODELING' first");
+            }
+        });
+
+        const anOutputFunc = (theCmd) => {
+            let aRes = this._tclEvalSilent(theCmd + " " + this._tclQuote(theName));
+            if (!aRes.isOk) {
+                throw new Error("command '" + theCmd + " " + theName + "' has failed" + (aRes.output !== "" ? ":\n" + aRes.output : ""));
+            }
+            return aRes.output;
+        };
+
+        let aWhatisOutput = anOutputFunc("whatis");
+        if (!aWhatisOutput.includes("is a shape")) {
+            throw new Error("'" + theName + "' is not a shape");
+        }
+
+        let aWhatis = this._parseWhatis(aWhatisOutput);
+        let aCounts = this._parseNbshapes(anOutputFunc("nbshapes"));
+        let aBounds = this._parseBounding(anOutputFunc("bounding"));
+        let aVolProps = this._parseProps(anOutputFunc("vprops"));
+        let aSurfProps = this._parseProps(anOutputFunc("sprops"));
+        let aTolerance = this._parseTolerance(anOutputFunc("tolerance"));
+        let aCheck = this._parseCheckshape(anOutputFunc("checkshape"));
+        return {
+            name: theName,
+            type: aWhatis.type,
+            orientation: aWhatis.orientation,
+            counts: aCounts,
+            bounds: aBounds,
+            volume: aVolProps.mass,
+            area: aSurfProps.mass,
+            centerOfMass: aVolProps.mass > 0 ? aVolProps.center : (aSurfProps.mass > 0 ? aSurfProps.center : null),
+            tolerance: aTolerance,
+            isValid: aCheck.isValid,
+            faults: aCheck.faults
+        };
+    }
+
+    /**
+     * Validate shapes with a set of checks listed in DRAWTERM_VALIDATION_CHECKS.
+     * Faulty sub-shapes are stored into Draw variables with DRAWTERM_VALIDATION_PREFIX prefix referenced by report;
+     * variables left by the previous validation are removed.
+     * @param[in] {Array<string>} theShapes names of shapes to validate (all Draw shape variables if empty or undefined)
+     * @param[in] {Object} theOptions optional parameters:
+     *   - checks {Array<string>} names of checks to perform (all checks by default);
+     *   - maxTolerance {number} maximum allowed tolerance of sub-shapes (1.0e-4 by default);
+     *   - toHighlight {boolean} display faulty sub-shapes in the viewer (FALSE by default).
+     * @return {Object} validation report with properties:
+     *   - date {string} validation time in ISO format;
+     *   - checks {Array<string>} performed checks;
+     *   - maxTolerance {number} maximum allowed tolerance;
+     *   - shapes {Array<Object>} list of {name, type, isValid, problems} items,
+     *     where problems is a list of {check, message, subShapes} items with names of faulty sub-shapes;
+     *   - nbFaulty {number} number of invalid shapes;
+     *   - nbProblems {number} overall number of problems.
+     */
+    validateShapes(theShapes, theOptions) {
+        let anOptions = theOptions || {};
+        let aChecks = anOptions.checks !== undefined ? anOptions.checks : Object.keys(DRAWTERM_VALIDATION_CHECKS);
+        let aMaxTol = anOptions.maxTolerance !== undefined ? anOptions.maxTolerance : 1.0e-4;
+        aChecks.forEach((theCheck) => {
+            let aCheck = DRAWTERM_VALIDATION_CHECKS[theCheck];
+            if (aCheck === undefined) {
+                throw new Error("unknown check '" + theCheck + "'");
+            } else if (this._tclEvalSilent("info commands " + aCheck.command).output.trim() === "") {
+                throw new Error("command '" + aCheck.command + "' is not available - load plugin with 'pload MODELING' first");
+            }
+        });
+
+        this._clearValidationVariables();
+        let aNames = theShapes != null && theShapes.length !== 0 ? Array.from(theShapes) : this._tclListWords("directory")
+            .filter(theName => !theName.startsWith(DRAWTERM_VALIDATION_PREFIX)
+                            && this._tclEvalSilent("whatis " + this._tclQuote(theName)).output.includes("is a shape"));
+        let aReport = {date: new Date().toISOString(), checks: aChecks, maxTolerance: aMaxTol, shapes: [], nbFaulty: 0, nbProblems: 0};
+        aNames.forEach((theName) => {
+            let aShape = {name: theName, type: "", isValid: true, problems: []};
+            let aWhatis = this._tclEvalSilent("whatis " + this._tclQuote(theName));
+            if (this._tclEvalSilent("isdraw " + this._tclQuote(theName)).output.trim() !== "1"
+             || !aWhatis.output.includes("is a shape")) {
+                aShape.problems.push({check: "", message: "'" + theName + "' is not a shape", subShapes: []});
+            } else {
+                aShape.type = this._parseWhatis(aWhatis.output).type;
+                aChecks.forEach((theCheck) => {
+                    aShape.problems = aShape.problems.concat(this._validateShape(theName, theCheck, aMaxTol));
+                });
+            }
+
+            aShape.isValid = aShape.problems.length === 0;
+            aReport.nbFaulty += aShape.isValid ? 0 : 1;
+            aReport.nbProblems += aShape.problems.length;
+            aReport.shapes.push(aShape);
+        });
+
+        if (anOptions.toHighlight === true) {
+            this.highlightValidationProblems(aReport);
+        }
+        this._myValidationReport = aReport;
+        return aReport;
+    }
+
+    /**
+     * Return report of the last validation (e.g. performed by jsvalidate command).
+     * @return {Object} report returned by validateShapes() or NULL if shapes have not been validated
+     */
+    validationReport() {
+        return this._myValidationReport;
+    }
+
+    /**
+     * Remove Draw variables with faulty sub-shapes stored by the previous validation (also erasing them from the viewer).
+     */
+    _clearValidationVariables() {
+        let aNames = this._tclListWords("directory").filter(theName => theName.startsWith(DRAWTERM_VALIDATION_PREFIX));
+        if (aNames.length === 0) {
+            return;
+        }
+
+        let toErase = !this.isHeadless() && this._tclEvalSilent("info commands vremove").output.trim() !== "";
+        aNames.forEach((theName) => {
+            let aName = this._tclQuote(theName);
+            if (toErase) {
+                this._tclEvalSilent("vremove " + aName);
+            }
+            this._tclEvalSilent("unset " + aName);
+        });
+    }
+
+    /**
+     * Display faulty sub-shapes from validation report in the viewer with red color.
+     * @param[in] {Object} theReport report returned by validateShapes()
+     * @return {number} number of displayed sub-shapes
+     */
+    highlightValidationProblems(theReport) {
+        if (this.isHeadless()) {
+            return 0;
+        } else if (this._tclEvalSilent("info commands vdisplay").output.trim() === "") {
+            throw new Error("faulty sub-shapes cannot be displayed - load plugin with 'pload VISUALIZATION' first");
+        }
+
+        let aSubShapes = [];
+        theReport.shapes.forEach((theShape) => {
+            theShape.problems.forEach((theProblem) => {
+                aSubShapes = aSubShapes.concat(theProblem.subShapes);
+            });
+        });
+        if (aSubShapes.length === 0) {
+            return 0;
+        }
+
+        if (this._tclEvalSilent("vviewlist").output.trim() === "") {
+            this.eval("vinit");
+        }
+        let aNbDisplayed = 0;
+        new Set(aSubShapes).forEach((theName) => {
+            let aName = this._tclQuote(theName);
+            if (this._tclEvalSilent("vdisplay -dispMode 1 " + aName).isOk) {
+                this._tclEvalSilent("vsetcolor " + aName + " RED");
+                this._tclEvalSilent("vsetwidth " + aName + " 3");
+                ++aNbDisplayed;
+            }
+        });
+        return aNbDisplayed;
+    }
+
+    /**
+     * Format validation report as a standalone HTML page with summary table.
+     * @param[in] {Object} theReport report returned by validateShapes()
+     * @return {string} HTML document
+     */
+    validationReportHtml(theReport) {
+        const anEscFunc = (theText) => String(theText).replace(/[&<>"]/g, theChar => DRAWTERM_HTML_ESCAPES[theChar]);
+        let aRows = "";
+        theReport.shapes.forEach((theShape) => {
+            let aStatus = theShape.isValid ? "<td style=\"color:green\">valid</td>" : "<td style=\"color:red\">invalid</td>";
+            if (theShape.isValid) {
+                aRows += "<tr><td>" + anEscFunc(theShape.name) + "</td><td>" + anEscFunc(theShape.type) + "</td>"
+                       + aStatus + "<td></td><td></td><td></td></tr>\n";
+                return;
+            }
+            theShape.problems.forEach((theProblem) => {
+                aRows += "<tr><td>" + anEscFunc(theShape.name) + "</td><td>" + anEscFunc(theShape.type) + "</td>" + aStatus
+                       + "<td>" + anEscFunc(theProblem.check) + "</td>"
+                       + "<td><pre>" + anEscFunc(theProblem.message) + "</pre></td>"
+                       + "<td>" + anEscFunc(theProblem.subShapes.join(" ")) + "</td></tr>\n";
+            });
+        });
+
+        return "<!DOCTYPE html>\n<html>\n<head>\n<meta charset=\"utf-8\">\n<title>Validation report</title>\n"
+             + "<style>table{border-collapse:collapse}td,th{border:1px solid #999;padding:2px 6px;vertical-align:top}"
+             + "pre{margin:0}</style>\n</head>\n<body>\n"
+             + "<h1>Validation report</h1>\n"
+             + "<p>Date: " + anEscFunc(theReport.date) + "<br>Checks: " + anEscFunc(theReport.checks.join(", "))
+             + "<br>Maximum tolerance: " + anEscFunc(theReport.maxTolerance)
+             + "<br>Shapes: " + theReport.shapes.length + ", invalid: " + theReport.nbFaulty + ", problems: " + theReport.nbProblems + "</p>\n"
+             + "<table>\n<tr><th>Shape</th><th>Type</th><th>Status</th><th>Check</th><th>Problem</th><th>Sub-shapes</th></tr>\n"
+             + aRows + "</table>\n</body>\n</html>\n";
+    }
+
+//#endregion
+
+//!#region Internal methods
+
+    /**
+     * Create folder together with missing parent folders on emulated file system.
+     * Unlike FS.mkdirTree(), which always builds absolute path, relative path is resolved against current working folder.
+     * @param[in] {string} thePath folder path
+     */
+    _mkdirTree(thePath) {
+        this.FS.mkdirTree(thePath.startsWith("/") ? thePath : this.FS.cwd().replace(/\/$/, "") + "/" + thePath);
+    }
+
+    /**
+     * Write uploaded data into emulated file system.
+     * @param[in] {Uint8Array} theDataArray file content
+     * @param[in] {string} theFileName source file name
+     * @param[in] {string} theFilePath file path on emulated file system
+     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
+     * @param[in] {boolean} theToOverwrite replace existing file (TRUE if undefined)
+     * @return {Promise} evaluation result as promise returning TRUE or Error
+     */
+    _uploadData(theDataArray, theFileName, theFilePath, theToPreload, theToOverwrite) {
+        return new Promise((theResolve, theReject) => {
+            if (theToOverwrite === false && this.FS.analyzePath(theFilePath).exists) {
+                theReject(new Error("file '" + theFilePath + "' already exists"));
+                return;
+            }
+            this.terminalWriteLine("uploading file '" + theFileName + "' of size " + theDataArray.length + " bytes to '" + theFilePath + "'...");
+            this.FS.writeFile(theFilePath, theDataArray);
+            this._myUploadedFiles.add(this.FS.analyzePath(theFilePath).path);
+            if (theToPreload) {
+                // implicitly decode image
+                this.FS.createPreloadedFile(!theFilePath.startsWith("/") ? this.FS.cwd() : "/",
+                    theFilePath,
+                    theDataArray, true, true,
+                    () => {
+                        theResolve(true);
+                    },
+                    () => {
+                        theReject(new Error("Preload '" + theFilePath + "' failed"));
+                    },
+                    true); // file is already created
+            } else {
+                theResolve(true);
+            }
+        });
+    }
+
+    /**
+     * Create persistent folder and load its content from IndexedDB.
+     * Does nothing if persistent folder is disabled or IndexedDB is unavailable (like in headless mode).
+     * @return {Promise} promise returning TRUE if folder has been mounted
+     */
+    async _mountPersistentDir() {
+        if (this._myPersistDir === "" || typeof indexedDB === "undefined") {
+            return false;
+        }
+
+        try {
+            this.FS.mkdirTree(this._myPersistDir);
+            this._myPersistDb = await this._openPersistDb();
+            this._myIsPersistMounted = true;
+            await this.syncPersistentDir(true);
+        } catch (theErr) {
+            this._myIsPersistMounted = false;
+            this.terminalWriteWarning("Warning: persistent folder '" + this._myPersistDir + "' cannot be mounted: " + theErr.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Open IndexedDB database keeping persistent folder content (one database per folder path).
+     * @return {Promise<IDBDatabase>} promise returning opened database
+     */
+    _openPersistDb() {
+        return new Promise((theResolve, theReject) => {
+            let aRequest = indexedDB.open(DRAWTERM_PERSIST_DB_PREFIX + this._myPersistDir, 1);
+            aRequest.onupgradeneeded = () => {
+                aRequest.result.createObjectStore(DRAWTERM_PERSIST_STORE, {keyPath: "path"});
+            };
+            aRequest.onsuccess = () => theResolve(aRequest.result);
+            aRequest.onerror = () => theReject(aRequest.error);
+        });
+    }
+
+    /**
+     * Wait for completion of IndexedDB transaction.
+     * @param[in] {IDBTransaction} theTrans transaction
+     * @return {Promise} promise resolved when transaction is committed
+     */
+    _waitPersistTransaction(theTrans) {
+        return new Promise((theResolve, theReject) => {
+            theTrans.oncomplete = () => theResolve(true);
+            theTrans.onerror = () => theReject(theTrans.error);
+            theTrans.onabort = () => theReject(theTrans.error != null ? theTrans.error : new Error("transaction aborted"));
+        });
+    }
+
+    /**
+     * Collect content of persistent folder.
+     * @return {Map<string, string>} map of paths (parent folders first) to signatures - "dir" for folders,
+     *         size and modification time for files
+     */
+    _walkPersistentDir() {
+        let anEntries = new Map();
+        const aWalkFunc = (theDir) => {
+            this.FS.readdir(theDir).forEach((theName) => {
+                if (theName === "." || theName === "..") {
+                    return;
+                }
+                let aPath = theDir + "/" + theName;
+                let aStat = this.FS.stat(aPath);
+                if (this.FS.isDir(aStat.mode)) {
+                    anEntries.set(aPath, "dir");
+                    aWalkFunc(aPath);
+                } else {
+                    anEntries.set(aPath, aStat.size + ":" + new Date(aStat.mtime).getTime());
+                }
+            });
+        };
+        aWalkFunc(this._myPersistDir);
+        return anEntries;
+    }
+
+    /**
+     * Find modifications of persistent folder since the last synchronization.
+     * @return {Object} {entries, changed, removed} with current folder content (see _walkPersistentDir()),
+     *         lists of new or modified paths and paths removed from folder
+     */
+    _persistentDirChanges() {
+        let anEntries = this._walkPersistentDir();
+        let aChanged = Array.from(anEntries.keys()).filter(thePath => this._myPersistState.get(thePath) !== anEntries.get(thePath));
+        let aRemoved = Array.from(this._myPersistState.keys()).filter(thePath => !anEntries.has(thePath));
+        return {entries: anEntries, changed: aChanged, removed: aRemoved};
+    }
+
+    /**
+     * Save modifications of persistent folder into IndexedDB.
+     * @return {Promise<boolean>} promise returning FALSE if there was nothing to save
+     */
+    async _savePersistentDir() {
+        let aChanges = this._persistentDirChanges();
+        if (aChanges.changed.length === 0 && aChanges.removed.length === 0) {
+            return false;
+        }
+
+        let aTrans = this._myPersistDb.transaction(DRAWTERM_PERSIST_STORE, "readwrite");
+        let aStore = aTrans.objectStore(DRAWTERM_PERSIST_STORE);
+        aChanges.removed.forEach(thePath => aStore.delete(thePath));
+        aChanges.changed.forEach((thePath) => {
+            let isDir = aChanges.entries.get(thePath) === "dir";
+            aStore.put({path: thePath, isDir: isDir, data: isDir ? null : this.FS.readFile(thePath)});
+        });
+        await this._waitPersistTransaction(aTrans);
+        this._myPersistState = aChanges.entries;
+        return true;
+    }
+
+    /**
+     * Replace content of persistent folder by files stored in IndexedDB.
+     * @return {Promise<boolean>} promise returning TRUE when folder is loaded
+     */
+    async _loadPersistentDir() {
+        let aTrans = this._myPersistDb.transaction(DRAWTERM_PERSIST_STORE, "readonly");
+        let aRecords = await new Promise((theResolve, theReject) => {
+            let aRequest = aTrans.objectStore(DRAWTERM_PERSIST_STORE).getAll();
+            aRequest.onsuccess = () => theResolve(aRequest.result);
+            aRequest.onerror = () => theReject(aRequest.error);
+        });
+
+        // remove local files missing in IndexedDB (nested items first)
+        let aStored = new Set(aRecords.map(theRecord => theRecord.path));
+        let anEntries = this._walkPersistentDir();
+        Array.from(anEntries.keys()).reverse().forEach((thePath) => {
+            if (aStored.has(thePath)) {
+                return;
+            } else if (anEntries.get(thePath) === "dir") {
+                this.FS.rmdir(thePath);
+            } else {
+                this.FS.unlink(thePath);
+            }
+        });
+
+        aRecords.sort((theA, theB) => theA.path < theB.path ? -1 : (theA.path > theB.path ? 1 : 0));
+        aRecords.forEach((theRecord) => {
+            if (theRecord.isDir) {
+                this.FS.mkdirTree(theRecord.path);
+                return;
+            }
+            this.FS.mkdirTree(theRecord.path.substring(0, theRecord.path.lastIndexOf("/")));
+            this.FS.writeFile(theRecord.path, theRecord.data);
+        });
+        this._myPersistState = this._walkPersistentDir();
+        return true;
+    }
+
+    /**
+     * Evaluate Draw command and throw an error on failure.
+     * @param[in] {string} theCmd command to evaluate
+     */
+    _termEvalChecked(theCmd) {
+        if (this.eval(theCmd) !== 1) {
+            throw new Error("command '" + theCmd + "' has failed");
+        }
+    }
+
+    /**
+     * Return name of global Tcl variable not defined yet, so that temporary Draw objects do not overwrite user variables.
+     * @param[in] {string} thePrefix variable name prefix
+     * @return {string} variable name
+     */
+    _uniqueTclVarName(thePrefix) {
+        for (let anIndex = 1; ; ++anIndex) {
+            let aName = thePrefix + anIndex;
+            if (this._tclEvalSilent("info exists ::" + aName).output.trim() !== "1") {
+                return aName;
+            }
+        }
+    }
+
+    /**
+     * Return MIME type of file from its extension.
+     * @param[in] {string} theFileName file name
+     * @return {string} MIME type
+     */
+    _fileMimeType(theFileName) {
+        let anExt = theFileName.includes(".") ? theFileName.split(".").pop().toLowerCase() : "";
+        let aFormat = DRAWTERM_EXPORT_FORMATS.find(theFormat => theFormat.exts.includes(anExt));
+        if (aFormat !== undefined) {
+            return aFormat.mime;
+        }
+        let aType = DRAWTERM_MIME_TYPES[anExt];
+        return aType !== undefined ? aType : "application/octet-stream";
+    }
+
+    /**
+     * Convert image into another format using canvas.
+     * @param[in] {Blob} theBlob image data
+     * @param[in] {string} theType MIME type of image to create
+     * @param[in] {number} theQuality image quality within 0..1 range for lossy formats (browser default if undefined)
+     * @return {Promise<Blob>} promise returning converted image
+     */
+    async _convertImage(theBlob, theType, theQuality) {
+        if (typeof createImageBitmap !== "function") {
+            throw new Error("image cannot be converted to '" + theType + "' without canvas");
+        }
+
+        let aBitmap = await createImageBitmap(theBlob);
+        let aBlob = null;
+        if (typeof OffscreenCanvas !== "undefined") {
+            let aCanvas = new OffscreenCanvas(aBitmap.width, aBitmap.height);
+            aCanvas.getContext("2d").drawImage(aBitmap, 0, 0);
+            aBlob = await aCanvas.convertToBlob({type: theType, quality: theQuality});
+        } else {
+            let aCanvas = document.createElement("canvas");
+            aCanvas.width = aBitmap.width;
+            aCanvas.height = aBitmap.height;
+            aCanvas.getContext("2d").drawImage(aBitmap, 0, 0);
+            aBlob = await new Promise(theResolve => aCanvas.toBlob(theResolve, theType, theQuality));
+        }
+        aBitmap.close();
+
+        // canvas silently falls back to PNG for unsupported types
+        if (aBlob == null || aBlob.type !== theType) {
+            throw new Error("image format '" + theType + "' is not supported by browser");
+        }
+        return aBlob;
+    }
+
+    /**
+     * Remember file uploaded into emulated file system for session recording.
+     * Uploads made outside of evaluated commands (like dropped files) are recorded immediately.
+     * @param[in] {string} thePath file path on emulated file system
+     * @param[in] {Uint8Array} theData file content for files from local file system (NULL for files loaded from URL)
+     * @param[in] {string} theUrl source URL (NULL for files from local file system)
+     */
+    _recordUpload(thePath, theData, theUrl) {
+        if (!this.isRecording()) {
+            return;
+        }
+
+        let anUpload = {path: thePath, data: theData, url: theUrl};
+        if (this._myCmdResult != null) {
+            this._myRecord.uploads.push(anUpload);
+        } else {
+            this._myRecord.lines.push(...this._recordUploadLines(anUpload));
+        }
+    }
+
+    /**
+     * Return commands uploading the file recorded by _recordUpload().
+     * @param[in] {Object} theUpload {path, data, url} upload description
+     * @return {Array<string>} list of commands
+     */
+    _recordUploadLines(theUpload) {
+        let aLines = [];
+        let aDir = theUpload.path.substring(0, theUpload.path.lastIndexOf("/"));
+        if (aDir !== "") {
+            aLines.push("jsmkdir -p " + this._tclQuote(aDir));
+        }
+        if (theUpload.url != null) {
+            aLines.push("jsupload " + this._tclQuote(theUpload.url) + " -path " + this._tclQuote(theUpload.path));
+        } else if (theUpload.data.length > DRAWTERM_RECORD_EMBED_LIMIT) {
+            aLines.push("# local file of " + theUpload.data.length + " bytes is too large to be embedded - upload it manually:");
+            aLines.push("jsupload . -path " + this._tclQuote(theUpload.path));
+        } else {
+            let anUrl = "data:" + this._fileMimeType(theUpload.path) + ";base64," + this._base64Encode(theUpload.data);
+            aLines.push("jsupload " + this._tclQuote(anUrl) + " -path " + this._tclQuote(theUpload.path) + " -nopreload");
+        }
+        return aLines;
+    }
+
+    /**
+     * Append evaluated command to session recording.
+     * Failed commands are recorded as comments; jsupload commands are replaced by uploads of actually loaded files,
+     * while file dialog of jsopen command is replaced by uploaded file.
+     * @param[in] {DrawCommandResult} theResult result of evaluated command
+     */
+    _recordCommand(theResult) {
+        if (!this.isRecording()) {
+            return;
+        }
+
+        let anUploads = this._myRecord.uploads;
+        this._myRecord.uploads = [];
+        let aCmd = theResult.command;
+        let aName = aCmd.trim().split(/\s+/)[0];
+        if (aName === "jsrecord" || aCmd.trim() === "") {
+            return;
+        }
+
+        let aLines = this._myRecord.lines;
+        if (theResult.status !== "ok") {
+            aLines.push("# " + theResult.status + ": " + aCmd.replace(/\n/g, "\n# "));
+        } else if (anUploads.length !== 0 && (aName === "jsupload" || aName === "upload")) {
+            anUploads.forEach(theUpload => aLines.push(...this._recordUploadLines(theUpload)));
+        } else {
+            anUploads.forEach(theUpload => aLines.push(...this._recordUploadLines(theUpload)));
+            if (aName === "jsopen" && anUploads.length !== 0) {
+                aCmd = aCmd.replace(/^(\s*jsopen\s+)\.(?=\s|$)/, "$1" + this._tclQuote(anUploads[0].path));
+            }
+            aLines.push(aCmd);
+        }
+
+        if (this._myRecord.toRecordOutput) {
+            theResult.messages.forEach((theMsg) => {
+                String(theMsg.text).split(/\r?\n/).forEach(theLine => aLines.push("#> " + theLine));
+            });
+        }
+    }
+
+    /**
+     * Parse output of vviewparams command printing "Scale: 1.5", "Proj: 0 0 1" and similar lines.
+     * @param[in] {string} theOutput command output
+     * @return {Object} parameters with lower-case keys and lists of numbers as values
+     */
+    _parseViewParams(theOutput) {
+        let aParams = {};
+        theOutput.split("\n").forEach((theLine) => {
+            let aMatch = /^\s*(\w+)\s*:\s*(.+)$/.exec(theLine);
+            let aValues = aMatch != null ? aMatch[2].match(DRAWTERM_NUMBER_REGEX) : null;
+            if (aValues != null) {
+                aParams[aMatch[1].toLowerCase()] = aValues.map(theValue => parseFloat(theValue));
+            }
+        });
+        return aParams;
+    }
+
+    /**
+     * Encode binary data into base64 string.
+     * @param[in] {Uint8Array} theData data to encode
+     * @return {string} base64 string
+     */
+    _base64Encode(theData) {
+        let aBinary = "";
+        for (let anIter = 0; anIter < theData.length; anIter += 0x8000) {
+            aBinary += String.fromCharCode.apply(null, theData.subarray(anIter, anIter + 0x8000));
+        }
+        return btoa(aBinary);
+    }
+
+    /**
+     * Decode base64 string into binary data.
+     * @param[in] {string} theText base64 string
+     * @return {Uint8Array} decoded data
+     */
+    _base64Decode(theText) {
+        let aBinary = atob(theText);
+        let aData = new Uint8Array(aBinary.length);
+        for (let anIter = 0; anIter < aBinary.length; ++anIter) {
+            aData[anIter] = aBinary.charCodeAt(anIter);
+        }
+        return aData;
+    }
+
+    /**
+     * Detect model format from file content with fallback to file extension.
+     * @param[in] {string} thePath file path on emulated file system
+     * @return {Object} format description from DRAWTERM_MODEL_FORMATS
+     */
+    _detectModelFormat(thePath) {
+        const aFormatFunc = (theName) => DRAWTERM_MODEL_FORMATS.find(theFormat => theFormat.format === theName);
+        let anExt = thePath.includes(".") ? thePath.split(".").pop().toLowerCase() : "";
+        let anExtFormat = DRAWTERM_MODEL_FORMATS.find(theFormat => theFormat.exts.includes(anExt));
+
+        let aData = this.FS.readFile(thePath);
+        let aHead = new TextDecoder("latin1").decode(aData.subarray(0, 1024));
+        let aFirstLine = aHead.split(/\r?\n/)[0];
+        if (aHead.startsWith("ISO-10303-21")) {
+            return aFormatFunc("STEP");
+        } else if (aFirstLine.length >= 73 && aFirstLine.charAt(72) === "S" && /^\s*[0-9]+$/.test(aFirstLine.substring(73, 80))) {
+            return aFormatFunc("IGES");
+        } else if (aHead.startsWith("DBRep_DrawableShape") || aHead.startsWith("CASCADE Topology")) {
+            return aFormatFunc("BREP");
+        } else if (aHead.startsWith("Open CASCADE Topology")) {
+            return aFormatFunc("BinBREP");
+        } else if (aHead.startsWith("glTF")) {
+            return aFormatFunc("glTF");
+        } else if (aHead.startsWith("#VRML")) {
+            return aFormatFunc("VRML");
+        } else if (aData.length >= 84 && aData.length === 84 + 50 * new DataView(aData.buffer, aData.byteOffset + 80, 4).getUint32(0, true)) {
+            // binary STL - 80 bytes header, triangles number and 50 bytes per triangle
+            return aFormatFunc("STL");
+        } else if (/^solid\b/.test(aHead) && aHead.includes("facet")) {
+            return aFormatFunc("STL");
+        } else if (/^\s*\{/.test(aHead) && aHead.includes("\"asset\"")) {
+            return aFormatFunc("glTF");
+        }
+
+        if (anExtFormat === undefined) {
+            throw new Error("format of file '" + thePath + "' cannot be detected");
+        }
+        return anExtFormat;
+    }
+
+    /**
+     * Parse output of whatis command like "s is a shape SOLID FORWARD Modified Orientable Closed".
+     * @param[in] {string} theOutput command output
+     * @return {Object} {type, orientation} pair
+     */
+    _parseWhatis(theOutput) {
+        let aMatch = /is a shape\s+(\w+)\s+(\w+)/.exec(theOutput);
+        if (aMatch == null) {
+            throw new Error("unexpected output of whatis command:\n" + theOutput);
+        }
+        return {type: aMatch[1], orientation: aMatch[2]};
+    }
+
+    /**
+     * Parse output of nbshapes command listing "VERTEX    : 8" lines.
+     * @param[in] {string} theOutput command output
+     * @return {Object} numbers of sub-shapes with lower-case shape type keys
+     */
+    _parseNbshapes(theOutput) {
+        let aCounts = {vertex: 0, edge: 0, wire: 0, face: 0, shell: 0, solid: 0, compsolid: 0, compound: 0, shape: 0};
+        let aRegex = /^\s*(VERTEX|EDGE|WIRE|FACE|SHELL|SOLID|COMPSOLID|COMPOUND|SHAPE)\s*:\s*(\d+)/gm;
+        for (let aMatch = aRegex.exec(theOutput); aMatch != null; aMatch = aRegex.exec(theOutput)) {
+            aCounts[aMatch[1].toLowerCase()] = parseInt(aMatch[2]);
+        }
+        return aCounts;
+    }
+
+    /**
+     * Parse output of bounding command printing "xmin ymin zmin xmax ymax zmax" values.
+     * @param[in] {string} theOutput command output
+     * @return {Object} {min, max} pair of [x, y, z] arrays or NULL for void box
+     */
+    _parseBounding(theOutput) {
+        let aValues = theOutput.match(DRAWTERM_NUMBER_REGEX);
+        if (/void/i.test(theOutput) || aValues == null || aValues.length < 6) {
+            return null;
+        }
+        aValues = aValues.slice(0, 6).map(theValue => parseFloat(theValue));
+        return {min: aValues.slice(0, 3), max: aValues.slice(3, 6)};
+    }
+
+    /**
+     * Parse output of vprops or sprops command with "Mass : 1000" line followed by "Center of gravity" coordinates.
+     * @param[in] {string} theOutput command output
+     * @return {Object} {mass, center} pair with volume or area and [x, y, z] center of mass (NULL if not printed)
+     */
+    _parseProps(theOutput) {
+        let aMass = new RegExp("Mass\\s*:\\s*(" + DRAWTERM_NUMBER_REGEX.source + ")").exec(theOutput);
+        if (aMass == null) {
+            throw new Error("unexpected output of mass properties command:\n" + theOutput);
+        }
+
+        let aCenter = null;
+        let aCenterPos = theOutput.indexOf("Center of gravity");
+        if (aCenterPos !== -1) {
+            let aText = theOutput.substring(aCenterPos);
+            aCenter = ["X", "Y", "Z"].map((theAxis) => {
+                let aMatch = new RegExp("^\\s*" + theAxis + "\\s*=\\s*(" + DRAWTERM_NUMBER_REGEX.source + ")", "m").exec(aText);
+                return aMatch != null ? parseFloat(aMatch[1]) : NaN;
+            });
+            if (aCenter.some(theValue => isNaN(theValue))) {
+                aCenter = null;
+            }
+        }
+        return {mass: parseFloat(aMass[1]), center: aCenter};
+    }
+
+    /**
+     * Parse output of tolerance command with "Tolerance MAX=... AVG=... MIN=..." line
+     * followed by similar lines per sub-shape type ("FACE : MAX=... AVG=... MIN=...").
+     * @param[in] {string} theOutput command output
+     * @return {Object} {min, avg, max} tolerance with optional face, edge and vertex properties of the same layout
+     *                  or NULL if tolerance is not printed
+     */
+    _parseTolerance(theOutput) {
+        const aNum = "(" + DRAWTERM_NUMBER_REGEX.source + ")";
+        let aRegex = new RegExp("^\\s*(Tolerance|FACE|EDGE|VERTEX)\\s*:?\\s*MAX=" + aNum + "\\s+AVG=" + aNum + "\\s+MIN=" + aNum, "gm");
+        let aTolerance = null;
+        for (let aMatch = aRegex.exec(theOutput); aMatch != null; aMatch = aRegex.exec(theOutput)) {
+            let aValues = {min: parseFloat(aMatch[4]), avg: parseFloat(aMatch[3]), max: parseFloat(aMatch[2])};
+            if (aMatch[1] === "Tolerance") {
+                aTolerance = aValues;
+            } else if (aTolerance != null) {
+                aTolerance[aMatch[1].toLowerCase()] = aValues;
+            }
+        }
+        return aTolerance;
+    }
+
+    /**
+     * Parse output of checkshape command ("This shape seems to be valid" for valid shape).
+     * @param[in] {string} theOutput command output
+     * @return {Object} {isValid, faults} pair with list of reported problems for invalid shape
+     */
+    _parseCheckshape(theOutput) {
+        let isValid = theOutput.includes("seems to be valid");
+        let aFaults = isValid ? [] : theOutput.split("\n").map(theLine => theLine.trim()).filter(theLine => theLine !== "");
+        return {isValid: isValid, faults: aFaults};
+    }
+
+    /**
+     * Perform single validation check of the shape.
+     * @param[in] {string} theName shape name
+     * @param[in] {string} theCheck check name from DRAWTERM_VALIDATION_CHECKS
+     * @param[in] {number} theMaxTol maximum allowed tolerance
+     * @return {Array<Object>} list of {check, message, subShapes} problems
+     */
+    _validateShape(theName, theCheck, theMaxTol) {
+        let aPrefix = DRAWTERM_VALIDATION_PREFIX + theName + "_";
+        let aCmd = DRAWTERM_VALIDATION_CHECKS[theCheck].command + " " + this._tclQuote(theName)
+                 + (theCheck === "checkshape" ? " " + this._tclQuote(aPrefix) : "");
+        let aRes = this._tclEvalSilent(aCmd);
+        if (!aRes.isOk) {
+            return [{check: theCheck, message: "command '" + aCmd + "' has failed" + (aRes.output !== "" ? ":\n" + aRes.output : ""), subShapes: []}];
+        }
+
+        let aProblems = [];
+        switch (theCheck) {
+            case "checkshape": {
+                aProblems = this._parseCheckshapeProblems(aRes.output);
+                break;
+            }
+            case "bopcheck": {
+                aProblems = this._parseBopcheckProblems(aRes.output);
+                // bopcheck always names faulty sub-shapes x0, x1, ... - rename them to keep references unique
+                let aRenamed = new Map();
+                aProblems.forEach((theProblem) => {
+                    theProblem.subShapes = theProblem.subShapes.map((theSubShape) => {
+                        if (!aRenamed.has(theSubShape)) {
+                            let aNewName = aPrefix + "bop_" + theSubShape;
+                            let isRenamed = this._tclEvalSilent("renamevar " + theSubShape + " " + this._tclQuote(aNewName)).isOk;
+                            aRenamed.set(theSubShape, isRenamed ? aNewName : theSubShape);
+                        }
+                        return aRenamed.get(theSubShape);
+                    });
+                });
+                break;
+            }
+            case "tolerance": {
+                let aTol = this._parseTolerance(aRes.output);
+                if (aTol != null && aTol.max > theMaxTol) {
+                    let aDetails = ["face", "edge", "vertex"].filter(theType => aTol[theType] !== undefined && aTol[theType].max > theMaxTol)
+                        .map(theType => theType + " " + aTol[theType].max);
+                    aProblems.push({message: "maximum tolerance " + aTol.max + " exceeds " + theMaxTol
+                                           + (aDetails.length !== 0 ? " (" + aDetails.join(", ") + ")" : ""),
+                                    subShapes: []});
+                }
+                break;
+            }
+        }
+        return aProblems.map(theProblem => ({check: theCheck, message: theProblem.message, subShapes: theProblem.subShapes}));
+    }
+
+    /**
+     * Parse output of checkshape command listing problems per faulty sub-shape:
+     *   On Shape faulty_1 :
+     *     BRepCheck_NotClosed
+     * @param[in] {string} theOutput command output
+     * @return {Array<Object>} list of {message, subShapes} problems (empty list for valid shape)
+     */
+    _parseCheckshapeProblems(theOutput) {
+        let aCheck = this._parseCheckshape(theOutput);
+        if (aCheck.isValid) {
+            return [];
+        }
+
+        let aProblems = [];
+        let aProblem = null;
+        aCheck.faults.forEach((theLine) => {
+            let aMatch = /^On Shape\s+(\S+)\s*:\s*(.*)$/.exec(theLine);
+            if (aMatch != null) {
+                aProblem = {message: aMatch[2], subShapes: [aMatch[1]]};
+                aProblems.push(aProblem);
+            } else if (aProblem != null && !theLine.startsWith("Faulty shapes in variables")) {
+                aProblem.message += (aProblem.message !== "" ? "\n" : "") + theLine;
+            }
+        });
+        if (aProblems.length === 0) {
+            aProblems.push({message: aCheck.faults.join("\n"), subShapes: []});
+        }
+        return aProblems;
+    }
+
+    /**
+     * Parse output of bopcheck command ("This shape seems to be OK." for shape without self-interferences);
+     * each reported line is considered as a problem referring faulty sub-shapes x0, x1, ...
+     * @param[in] {string} theOutput command output
+     * @return {Array<Object>} list of {message, subShapes} problems (empty list for valid shape)
+     */
+    _parseBopcheckProblems(theOutput) {
+        if (theOutput.includes("seems to be OK")) {
+            return [];
+        }
+
+        return theOutput.split("\n").map(theLine => theLine.trim()).filter(theLine => theLine !== "").map((theLine) => {
+            let aSubShapes = theLine.match(/\bx\d+\b/g);
+            return {message: theLine, subShapes: aSubShapes != null ? Array.from(new Set(aSubShapes)) : []};
+        });
+    }
+
+    /**
+     * Return base URL for resolving relative URLs.
+     * @return {string} base URL
+     */
+    _urlBase() {
+        if (this._myUrlBase !== "") {
+            return this._myUrlBase;
+        } else if (typeof document !== "undefined") {
+            return document.baseURI;
+        }
+        return typeof self !== "undefined" && self.location !== undefined ? self.location.href : undefined;
+    }
+
+    /**
+     * Resolve URL and check it against URL policy.
+     * @param[in] {string} theFileUrl URL to check
+     * @return {URL} resolved URL
+     */
+    _resolveUrl(theFileUrl) {
+        let anUrl = null;
+        try {
+            anUrl = new URL(theFileUrl, this._urlBase());
+        } catch (theErr) {
+            throw new Error("URL '" + theFileUrl + "' is malformed");
+        }
+
+        if (anUrl.protocol === "data:") {
+            return anUrl;
+        } else if (anUrl.protocol !== "http:" && anUrl.protocol !== "https:" && anUrl.protocol !== "blob:") {
+            throw new Error("URL '" + theFileUrl + "' is rejected: scheme '" + anUrl.protocol + "' is not supported");
+        }
+
+        // blob URL origin is the origin of document created it
+        let anOrigin = anUrl.protocol === "blob:" ? new URL(anUrl.pathname).origin : anUrl.origin;
+        const aMatchFunc = (thePattern) => {
+            let aRegExp = "^" + thePattern.split("*").map(thePart => thePart.replace(/[.?+^$[\]\\(){}|-]/g, "\\$&")).join(".*") + "$";
+            return new RegExp(aRegExp, "i").test(anOrigin);
+        };
+        if (this._myUrlDenyList.some(aMatchFunc)) {
+            throw new Error("URL '" + theFileUrl + "' is rejected: origin '" + anOrigin + "' is denied");
+        } else if (this._myUrlAllowList.length !== 0 && !this._myUrlAllowList.some(aMatchFunc)) {
+            throw new Error("URL '" + theFileUrl + "' is rejected: origin '" + anOrigin + "' is not in the list of allowed origins");
+        }
+        return anUrl;
+    }
+
+    /**
+     * Fetch file from specified URL.
+     * @param[in] {string} theFileUrl URL to load
+     * @return {Promise<Object>} promise returning {name, data} pair with file name and content as Uint8Array
+     */
+    async _fetchUrl(theFileUrl) {
+        let anUrl = this._resolveUrl(theFileUrl);
+        let aResponse = null;
+        try {
+            aResponse = await fetch(anUrl.href);
+        } catch (theErr) {
+            if (anUrl.protocol === "data:") {
+                throw new Error("data URL is malformed");
+            } else if (anUrl.protocol === "blob:") {
+                throw new Error("blob URL '" + theFileUrl + "' cannot be read (it might be revoked or created by another page)");
+            }
+            throw new Error("URL '" + theFileUrl + "' cannot be fetched: " + theErr.message);
+        }
+        if (!aResponse.ok) {
+            throw new Error("HTTP " + aResponse.status + " - " + aResponse.statusText + " (URL: '" + theFileUrl + "')");
+        }
+
+        let aData = new Uint8Array(await aResponse.arrayBuffer());
+        return {name: this._urlFileName(anUrl, aResponse), data: aData};
+    }
+
+    /**
+     * Derive file name from Content-Disposition header or URL path.
+     * @param[in] {URL} theUrl fetched URL
+     * @param[in] {Response} theResponse fetch response
+     * @return {string} file name
+     */
+    _urlFileName(theUrl, theResponse) {
+        let aDisposition = theResponse.headers.get("Content-Disposition");
+        if (aDisposition != null) {
+            let anExtMatch = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(aDisposition);
+            let aMatch = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(aDisposition);
+            let aName = "";
+            try {
+                aName = anExtMatch != null ? decodeURIComponent(anExtMatch[1].trim())
+                      : (aMatch != null ? (aMatch[2] !== undefined ? aMatch[2] : aMatch[1].trim()) : "");
+            } catch (theErr) {
+                aName = "";
+            }
+            aName = aName.split(/[\/\\]/).pop();
+            if (aName !== "") {
+                return aName;
+            }
+        }
+
+        if (theUrl.protocol === "http:" || theUrl.protocol === "https:") {
+            let aName = theUrl.pathname.split("/").pop();
+            try {
+                aName = decodeURIComponent(aName);
+            } catch (theErr) {
+                //
+            }
+            if (aName !== "") {
+                return aName;
+            }
+        }
+
+        // data and blob URLs have no file name - use extension from MIME type;
+        // generic binary type tells nothing about format and should not be mistaken for BREP
+        let aType = (theResponse.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+        if (aType === "application/octet-stream") {
+            return theUrl.protocol === "data:" ? "data" : "blob";
+        }
+        let aFormat = DRAWTERM_EXPORT_FORMATS.find(theFormat => theFormat.mime === aType);
+        let anExt = aFormat !== undefined ? aFormat.exts[0] : Object.keys(DRAWTERM_MIME_TYPES).find(theExt => DRAWTERM_MIME_TYPES[theExt] === aType);
+        return (theUrl.protocol === "data:" ? "data" : "blob") + (anExt !== undefined ? "." + anExt : "");
+    }
+
+    /**
+     * Show file dialog allowing to choose several files.
+     * @return {Promise<Array<File>>} promise returning the list of chosen files
+     */
+    _chooseLocalFile() {
+        if (this._myFileInput == null) {
+            this._myFileInput = document.createElement("input");
+            this._myFileInput.type = "file";
+            this._myFileInput.multiple = true;
+            this._myFileInput.style = "visibility:hidden";
+            document.body.appendChild(this._myFileInput);
+        }
+
+        return new Promise((theResolve, theReject) => {
+            // Old browsers do not send "cancel" event on file input when user closes dialog without choice.
+            // Window focus change event is tracked as well to avoid DRAWEXE handling forever.
+            let hasResult = false;
+            this._myFileInput.oncancel = () => {
+                hasResult = true;
+                window.removeEventListener('focus', aCancelListener);
+                window.removeEventListener('touchend', aCancelListener);
+                theReject(new Error("no file chosen"));
+            };
+            const aCancelListener = () => {
+                window.removeEventListener('focus', aCancelListener);
+                window.removeEventListener('touchend', aCancelListener);
+                setTimeout(() => {
+                    if (!hasResult) {
+                        theReject(new Error("no file chosen"));
+                    }
+                }, 1000); // wait for a second as focus and onchange events happen simultaneously
+            };
+            window.addEventListener('focus', aCancelListener, {once: true});
+            window.addEventListener('touchend', aCancelListener, {once: true});
+
+            this._myFileInput.onchange = () => {
+                hasResult = true;
+                window.removeEventListener('focus', aCancelListener);
+                window.removeEventListener('touchend', aCancelListener);
+                if (this._myFileInput.files.length == 0) {
+                    theReject(new Error("no file chosen"));
+                    return;
+                }
+
+                let aFiles = Array.from(this._myFileInput.files);
+                this._myFileInput.value = ""; // allow choosing the same files next time
+                theResolve(aFiles);
+            };
+            this._myFileInput.click();
+        })
+    }
+
+    /**
+     * Read content of local file.
+     * @param[in] {File} theFile file to read
+     * @return {Promise<Uint8Array>} promise returning file content
+     */
+    _readLocalFile(theFile) {
+        return new Promise((theResolve, theReject) => {
+            let aReader = new FileReader();
+            aReader.onload = () => {
+                theResolve(new Uint8Array(aReader.result));
+            };
+            aReader.onerror = () => {
+                theReject(new Error("file '" + theFile.name + "' cannot be read"));
+            };
+            aReader.readAsArrayBuffer(theFile);
+        });
+    }
+
+    /**
+     * Report progress of WebAssembly module loading.
+     * The "." stab is replaced by a single terminal line rewritten in place, so that nothing is added to command results.
+     * @param[in] {Object} theProgress loading progress (see loadProgress())
+     */
+    _termWasmLoadProgress(theProgress) {
+        if (this._myTerm == null) {
+            return;
+        }
+        let aText = "Loading '" + theProgress.build + "' - " + theProgress.phase;
+        if (theProgress.phase === "fetch") {
+            aText += " " + (theProgress.loaded / (1024 * 1024)).toFixed(1) + " MiB";
+            if (theProgress.total > 0) {
+                aText += " / " + (theProgress.total / (1024 * 1024)).toFixed(1) + " MiB";
+            }
+        }
+        this.terminalWrite("\r\x1B[K" + (theProgress.phase !== "ready" ? aText : ""));
+    }
+
+    /**
+     * Set current phase of WebAssembly module loading and report progress.
+     * @param[in] {string} thePhase loading phase, one of DRAWTERM_LOAD_PHASES
+     * @param[in] {string} theError error message for "error" phase
+     */
+    _setLoadPhase(thePhase, theError) {
+        this._myLoadProgress.phase = thePhase;
+        this._myLoadProgress.build = this._myWasmBuild;
+        if (theError !== undefined) {
+            this._myLoadProgress.error = theError;
+        }
+        this._emitLoadProgress();
+    }
+
+    /**
+     * Update total counters of loading progress, emit "load-progress" event and print progress into terminal.
+     */
+    _emitLoadProgress() {
+        let aProgress = this._myLoadProgress;
+        let isTotalKnown = true;
+        aProgress.loaded = 0;
+        aProgress.total = 0;
+        Object.values(aProgress.assets).forEach((theAsset) => {
+            aProgress.loaded += theAsset.loaded;
+            aProgress.total += theAsset.total;
+            isTotalKnown = isTotalKnown && theAsset.total !== 0;
+        });
+        if (!isTotalKnown) {
+            aProgress.total = 0; // summary total is unknown until all file sizes are known
+        }
+        this._termWasmLoadProgress(aProgress);
+        this._emitEvent("load-progress", this.loadProgress());
+    }
+
+    /**
+     * Fetch WebAssembly module component reporting the number of received bytes.
+     * When Cache Storage is enabled (see setWasmCacheName()), the file is taken from the cache
+     * if its hash matches the build manifest or if the manifest cannot be fetched (offline);
+     * otherwise the downloaded file is put into the cache.
+     * @param[in] {string} theName file name within WASM build folder like "DRAWEXE.wasm"
+     * @return {Promise<Uint8Array>} promise returning file content
+     */
+    async _fetchWasmAsset(theName) {
+        let anUrl = this.locateFile(theName, "");
+        let aHash = this._myWasmManifest.files[theName];
+        let aCache = await this._openWasmCache();
+        if (aCache != null) {
+            let aCached = await aCache.match(anUrl);
+            if (aCached !== undefined && (!this._myWasmManifest.isOnline || aCached.headers.get("X-Content-Hash") === aHash)) {
+                let aData = new Uint8Array(await aCached.arrayBuffer());
+                this._myLoadProgress.assets[theName] = {loaded: aData.length, total: aData.length, isCached: true};
+                this._emitLoadProgress();
+                return aData;
+            }
+        }
+
+        let aResponse = await fetch(anUrl);
+        if (!aResponse.ok) {
+            throw new Error("Fail to fetch " + theName + "; response finished with " + aResponse.status);
+        }
+
+        // Content-Length is missing for chunked responses and might be smaller than decoded size for compressed ones
+        let anAsset = {loaded: 0, total: Number(aResponse.headers.get("Content-Length")) || 0, isCached: false};
+        this._myLoadProgress.assets[theName] = anAsset;
+        this._emitLoadProgress();
+        let aData = null;
+        if (aResponse.body == null || typeof aResponse.body.getReader !== "function") {
+            aData = new Uint8Array(await aResponse.arrayBuffer());
+        } else {
+            let aChunks = [];
+            let aReader = aResponse.body.getReader();
+            for (;;) {
+                let aChunk = await aReader.read();
+                if (aChunk.done) {
+                    break;
+                }
+                aChunks.push(aChunk.value);
+                anAsset.loaded += aChunk.value.length;
+                if (anAsset.total !== 0) {
+                    anAsset.total = Math.max(anAsset.total, anAsset.loaded);
+                }
+                this._emitLoadProgress();
+            }
+
+            aData = new Uint8Array(anAsset.loaded);
+            let anOffset = 0;
+            aChunks.forEach((theChunk) => {
+                aData.set(theChunk, anOffset);
+                anOffset += theChunk.length;
+            });
+        }
+        anAsset.loaded = aData.length;
+        anAsset.total = aData.length;
+        this._emitLoadProgress();
+
+        if (aCache != null) {
+            await this._putWasmCache(aCache, anUrl, aData, aHash);
+        }
+        return aData;
+    }
+
+    /**
+     * Fetch "DRAWEXE.wasm" and "DRAWEXE.data" with progress reporting and pass them to Emscripten
+     * through instantiateWasm() and getPreloadedPackage() callbacks.
+     * @param[in] {Array<string>} theOtherNames other files within WASM build folder to fetch together with module components
+     * @return {Promise<Array>} promise returning content of theOtherNames files
+     *         and a promise rejected on WebAssembly compilation failure (never resolved otherwise)
+     */
+    async _fetchWasmAssets(theOtherNames) {
+        this._myWasmManifest = await this._fetchWasmManifest();
+        let aRes = await Promise.all(["DRAWEXE.wasm", "DRAWEXE.data"].concat(theOtherNames || [])
+                                     .map(theName => this._fetchWasmAsset(theName)));
+        let aWasm = aRes[0];
+        let aPackage = aRes[1];
+        let aFailure = new Promise((theResolve, theReject) => {
+            this.instantiateWasm = (theImports, theReceiveFunc) => {
+                this._setLoadPhase("compile");
+                WebAssembly.instantiate(aWasm, theImports).then((theOutput) => {
+                    aWasm = null;
+                    this._setLoadPhase("runtime-init");
+                    theReceiveFunc(theOutput.instance, theOutput.module);
+                }).catch((theErr) => theReject(new Error("WebAssembly compilation has failed: " + theErr)));
+                return {}; // exports are passed to theReceiveFunc asynchronously
+            };
+        });
+        this.getPreloadedPackage = (thePackageName, thePackageSize) => {
+            let aBuffer = aPackage.buffer;
+            aPackage = null;
+            return aBuffer;
+        };
+        return aRes.slice(2).concat([aFailure]);
+    }
+
+    /**
+     * Fetch manifest of WASM build with hashes of its files (see DRAWTERM_WASM_MANIFEST).
+     * @return {Promise<Object>} promise returning {isOnline, files} with map of SHA-256 hashes per file name;
+     *         isOnline is FALSE if manifest cannot be fetched due to network error
+     */
+    async _fetchWasmManifest() {
+        if (this._myWasmCacheName === "") {
+            return {isOnline: true, files: {}};
+        }
+
+        let aResponse = null;
+        try {
+            aResponse = await fetch(this.locateFile(DRAWTERM_WASM_MANIFEST, ""), {cache: "no-store"});
+        } catch (theErr) {
+            return {isOnline: false, files: {}};
+        }
+        try {
+            return {isOnline: true, files: aResponse.ok ? (await aResponse.json()).files : {}};
+        } catch (theErr) {
+            this.terminalWriteWarning("Warning: " + DRAWTERM_WASM_MANIFEST + " is malformed");
+            return {isOnline: true, files: {}};
+        }
+    }
+
+    /**
+     * Open Cache Storage for WASM builds.
+     * @return {Promise<Cache>} promise returning cache or NULL if caching is disabled or unsupported
+     */
+    async _openWasmCache() {
+        if (this._myWasmCacheName === "" || typeof caches === "undefined") {
+            return null;
+        }
+        try {
+            return await caches.open(this._myWasmCacheName);
+        } catch (theErr) {
+            // Cache Storage is unavailable in insecure context or private browsing mode
+            return null;
+        }
+    }
+
+    /**
+     * Put downloaded file into Cache Storage with its SHA-256 hash.
+     * @param[in] {Cache} theCache cache to fill
+     * @param[in] {string} theUrl file URL
+     * @param[in] {Uint8Array} theData file content
+     * @param[in] {string} theHash expected hash from manifest (undefined if unknown)
+     */
+    async _putWasmCache(theCache, theUrl, theData, theHash) {
+        let aHash = "";
+        if (typeof crypto !== "undefined" && crypto.subtle !== undefined) {
+            let aDigest = new Uint8Array(await crypto.subtle.digest("SHA-256", theData));
+            aHash = Array.from(aDigest, theByte => theByte.toString(16).padStart(2, "0")).join("");
+        }
+        if (theHash !== undefined && aHash !== "" && aHash !== theHash) {
+            this.terminalWriteWarning("Warning: hash of '" + theUrl + "' does not match " + DRAWTERM_WASM_MANIFEST
+                                    + ", file is not cached");
+            return;
+        }
+
+        try {
+            await theCache.put(theUrl, new Response(theData, {headers: {"Content-Type": this._fileMimeType(theUrl),
+                                                                        "Content-Length": String(theData.length),
+                                                                        "X-Content-Hash": aHash}}));
+        } catch (theErr) {
+            this.terminalWriteWarning("Warning: '" + theUrl + "' cannot be cached: " + theErr);
+        }
+    }
+
+    /**
+     * Return names of caches managed by wasmCacheReport() and clearWasmCache().
+     * @return {Promise<Array<string>>} promise returning cache names
+     */
+    async _wasmCacheNames() {
+        let aNames = await caches.keys();
+        return aNames.filter(theName => theName.startsWith(DRAWTERM_CACHE_PREFIX) || theName === this._myWasmCacheName);
+    }
+
+    /**
+     * Terminal custom key event handler.
+     * @param[in] {KeyboardEvent} theEvent input key
+     * @return {boolean} FALSE if key should be ignored
+     */
+    _onTermKeyEvent(theEvent) {
+        switch (theEvent.keyCode) {
+            case 38: // ArrowUp
+            case 40: // ArrowDown
+            {
+                // override up/down arrows to navigate through input history
+                let aDir = theEvent.keyCode === 38 ? -1 : 1;
+                if (theEvent.type !== "keydown") {
+                    return false;
+                }
+
+                // clear current input
+                for (; this._myTermLine.length > 0;) {
+                    this.terminalWrite('\b \b');
+                    this._myTermLine = this._myTermLine.substring(0, this._myTermLine.length - 1);
+                }
+                if (this._myTermHistory.length <= 0) {
+                    return false;
+                }
+
+                if (this._myTermHistoryPos != -1) {
+                    this._myTermHistoryPos += aDir;
+                    this._myTermHistoryPos = Math.max(Math.min(this._myTermHistoryPos, this._myTermHistory.length - 1), 0);
+                } else {
+                    this._myTermHistoryPos = this._myTermHistory.length - 1;
+                }
+
+                let aHist = this._myTermHistory[this._myTermHistoryPos];
+                this._myTermLine = aHist;
+                this._myTermLineCharPos = 0;
+                this.terminalWrite(aHist);
+                return false;
+            }
+            case 37: // ArrowLeft
+            {
+                if (theEvent.type === "keydown") {
+                    if (this._myTermLineCharPos > -this._myTermLine.length) {
+                        --this._myTermLineCharPos;
+                        this.terminalWrite("\x1b[1D");
+                    }
+                }
+                return false;
+            }
+            case 39: // ArrowRight
+            {
+                if (theEvent.type === "keydown") {
+                    if (this._myTermLineCharPos < 0) {
+                        ++this._myTermLineCharPos;
+                        this.terminalWrite("\x1b[1C");
+                    }
+                }
+                return false;
+            }
+            case 8: // Backspace
+            {
+                if (theEvent.type !== "keydown") {
+                    return false;
+                }
+
+                if (this._myTermLineCharPos < 0) {
+                    // remove character in the middle
+                    if (this._myTermLineCharPos > -this._myTermLine.length) {
+                        let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos - 1);
+                        let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos);
+                        this.terminalWrite("\b" + aTail + " ");
+                        this.terminalWrite("\x1b[" + (-this._myTermLineCharPos + 1) + "D");
+                        this._myTermLine = aFront + aTail;
+                    }
+                } else if (this._myTermLine.length > 0) {
+                    this.terminalWrite('\b \b');
+                    this._myTermLine = this._myTermLine.substring(0, this._myTermLine.length - 1);
+                }
+                return false;
+            }
+            case 46: // Delete
+            {
+                if (theEvent.type === "keydown"
+                    && this._myTermLineCharPos < 0) {
+                    let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos);
+                    let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos + 1);
+                    this.terminalWrite(aTail + " ");
+                    this.terminalWrite("\x1b[" + (-this._myTermLineCharPos) + "D");
+                    this._myTermLine = aFront + aTail;
+                    ++this._myTermLineCharPos;
+                }
+                return false;
+            }
+            case 33: // PageUp
+            case 34: // PageDown
+            {
+                if (theEvent.type === "keydown") {
+                    this._myTerm.scrollPages(theEvent.keyCode == 33 ? -1 : 1);
+                }
+                return false;
+            }
+            case 35: // End
+            {
+                if (theEvent.type === "keydown") {
+                    if (this._myTermLineCharPos < 0) {
+                        let aDelta = -this._myTermLineCharPos;
+                        this._myTermLineCharPos = 0;
+                        this.terminalWrite("\x1b[" + aDelta + "C");
+                    }
+                }
+                return false;
+            }
+            case 36: // Home
+            {
+                if (theEvent.type === "keydown") {
+                    if (this._myTermLineCharPos > -this._myTermLine.length) {
+                        let aDelta = this._myTermLine.length + this._myTermLineCharPos;
+                        this._myTermLineCharPos = -this._myTermLine.length;
+                        this.terminalWrite("\x1b[" + aDelta + "D");
+                    }
+                }
+                return false;
+            }
+            case 45: // insert
+            {
+                return false;
+            }
+            case 9: // Tab
+            {
+                if (theEvent.type === "keydown") {
+                    this._termCompleteInput();
+                }
+                return false;
+            }
+            case 112: // F1
+            case 113:
+            case 114:
+            case 115:
+            case 116:
+            case 117:
+            case 118:
+            case 119:
+            case 120:
+            case 121:
+            case 122:
+            case 123: // F12
+            {
+                return false;
+            }
+        }
+
+        // handle copy-paste via Ctrl+C and Ctrl+V
+        if (theEvent.key === 'c' && theEvent.ctrlKey) {
+            let isCopyDone = document.execCommand('copy');
+            return false;
+        }
+        if (theEvent.key === 'v' && theEvent.ctrlKey) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Terminal data input callback.
+     * @param[in] {string} theEvent input data as string
+     */
+    _onTermDataInput(theEvent) {
+        if (typeof this.isComplete !== "function") {
+            // WASM is not yet loaded
+            return;
+        }
+
         let aNbNewLines = 0;
         for (let anIter = 0; anIter < theEvent.length; ++anIter) {
             let aChar = theEvent.charAt(anIter);
@@ -761,201 +3462,1361 @@ class DrawTerm {
                     if (aNbNewLines == 0) {
                         this.terminalWrite("\n\r> ");
                     }
-                } else if (!this.isComplete(aCmd)) {
-                    // handle incomplete Tcl input (missing closing bracket)
-                    this._myTermLine += "\n\r";
-                    if (aNbNewLines == 0) {
-                        this.terminalWrite("\n\r> ");
+                } else if (!this.isComplete(aCmd)) {
+                    // handle incomplete Tcl input (missing closing bracket)
+                    this._myTermLine += "\n\r";
+                    if (aNbNewLines == 0) {
+                        this.terminalWrite("\n\r> ");
+                    }
+                } else {
+                    this._myTermLine = "";
+                    this._termQueueCommand(aCmd, aNbNewLines != 0);
+                    ++aNbNewLines;
+                }
+            }
+            // if (aChar === "\x1b[A"), "\x1b[B" up/down arrows are handled by attachCustomKeyEventHandler()
+            else // normal symbol
+            {
+                if (this._myTermLineCharPos < 0) {
+                    // insert character
+                    let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos);
+                    let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos);
+                    this.terminalWrite(aChar + aTail);
+                    this.terminalWrite("\x1b[" + (-this._myTermLineCharPos) + "D");
+                    this._myTermLine = aFront + aChar + aTail;
+                } else {
+                    // append character
+                    if (aNbNewLines == 0) {
+                        this.terminalWrite(aChar);
+                    }
+                    this._myTermLine += aChar;
+                }
+            }
+        }
+    }
+
+    /**
+     * Complete the word at cursor position in terminal input (Tab key).
+     * Command names (also as help argument) are taken from the interpreter, help groups and JavaScript commands, arguments starting with $ are completed
+     * from Tcl variables, arguments of file commands from emulated file system and other arguments from Draw variables.
+     * Common prefix of several matches is inserted, or the list of matches is printed.
+     */
+    _termCompleteInput() {
+        if (typeof this.eval !== "function" || this._myIsAsyncRunning || this._myCmdRunning != null) {
+            // interpreter is busy with another command and should not be queried
+            return;
+        }
+
+        let aHead = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos);
+        let aWordStart = Math.max(aHead.lastIndexOf(" "), aHead.lastIndexOf("\t"), aHead.lastIndexOf("["),
+                                  aHead.lastIndexOf(";"), aHead.lastIndexOf("{"), aHead.lastIndexOf("\n")) + 1;
+        let aWord = aHead.substring(aWordStart);
+        let aBefore = aHead.substring(0, aWordStart).trim();
+        let aFirstWord = aBefore.split(/\s+/)[0];
+
+        let aCands = [];
+        if (aWord.startsWith("$")) {
+            aCands = this._tclListWords("info vars").map(theVar => "$" + theVar);
+        } else if (aBefore === "" || aBefore.endsWith("[") || aBefore.endsWith(";") || aFirstWord === "help") {
+            // commands registered by Draw plugins are also listed in help groups (Draw_Groups array)
+            aCands = this._tclListWords("info commands").concat(this._tclListWords("concat {*}[dict values [array get ::Draw_Groups]]"),
+                                                                this.jsCommands());
+        } else if (DRAWTERM_JS_FS_COMMANDS.includes(aFirstWord)) {
+            aCands = this._termListPaths(aWord);
+        } else {
+            aCands = this._tclListWords("directory");
+        }
+
+        let aMatches = Array.from(new Set(aCands.filter(theCand => theCand.startsWith(aWord)))).sort();
+        if (aMatches.length === 0) {
+            return;
+        }
+
+        let aCommon = aMatches[0];
+        aMatches.forEach((theMatch) => {
+            let aLen = 0;
+            while (aLen < aCommon.length && aCommon.charAt(aLen) === theMatch.charAt(aLen)) {
+                ++aLen;
+            }
+            aCommon = aCommon.substring(0, aLen);
+        });
+
+        let aSuffix = aCommon.substring(aWord.length);
+        if (aMatches.length === 1 && !aCommon.endsWith("/")) {
+            aSuffix += " ";
+        }
+        if (aSuffix !== "") {
+            this._onTermDataInput(aSuffix);
+            return;
+        }
+
+        // print the list of candidates and restore input line
+        this.terminalWrite("\n\r" + aMatches.join("  "));
+        this.terminalPrintInputLine(this._myTermLine);
+        if (this._myTermLineCharPos < 0) {
+            this.terminalWrite("\x1b[" + (-this._myTermLineCharPos) + "D");
+        }
+    }
+
+    /**
+     * List emulated file system paths starting with specified prefix.
+     * @param[in] {string} thePrefix path prefix
+     * @return {Array<string>} list of paths, directories end with "/"
+     */
+    _termListPaths(thePrefix) {
+        let aDirEnd = thePrefix.lastIndexOf("/") + 1;
+        let aDir = thePrefix.substring(0, aDirEnd);
+        try {
+            return this.FS.readdir(aDir !== "" ? aDir : ".")
+                .filter(theName => theName !== "." && theName !== "..")
+                .map(theName => {
+                    let isDir = this.FS.isDir(this.FS.stat(aDir + theName).mode);
+                    return aDir + theName + (isDir ? "/" : "");
+                });
+        } catch (theErr) {
+            return [];
+        }
+    }
+
+    /**
+     * Evaluate Tcl command without printing its output into terminal.
+     * @param[in] {string} theCmd command to evaluate
+     * @return {Object} {isOk, output} pair with evaluation status and captured output as a line-separated string
+     */
+    _tclEvalSilent(theCmd) {
+        let aPrevCapture = this._myCapture;
+        this._myCapture = [];
+        let isOk = false;
+        try {
+            isOk = this.eval(theCmd) === 1;
+        } catch (theErr) {
+            isOk = false;
+        }
+        let anOutput = this._myCapture.join("\n");
+        this._myCapture = aPrevCapture;
+        return {isOk: isOk, output: anOutput};
+    }
+
+    /**
+     * Evaluate Tcl command silently and split its output into words.
+     * @param[in] {string} theCmd command to evaluate
+     * @return {Array<string>} list of words or empty list on error
+     */
+    _tclListWords(theCmd) {
+        let aRes = this._tclEvalSilent(theCmd);
+        if (!aRes.isOk) {
+            return [];
+        }
+        return aRes.output.split(/\s+/).map(theWord => theWord.replace(/^\{|\}$/g, "")).filter(theWord => theWord !== "");
+    }
+
+    /**
+     * Decode string printed by Tcl as "binary encode hex [encoding convertto utf-8 $aValue]".
+     * @param[in] {string} theHex hex-encoded UTF-8 bytes
+     * @return {string} decoded string
+     */
+    _decodeTclHex(theHex) {
+        let aHex = theHex.trim();
+        let aBytes = new Uint8Array(aHex.length / 2);
+        for (let aByteIter = 0; aByteIter < aBytes.length; ++aByteIter) {
+            aBytes[aByteIter] = parseInt(aHex.substring(aByteIter * 2, aByteIter * 2 + 2), 16);
+        }
+        return new TextDecoder().decode(aBytes);
+    }
+
+    /**
+     * Quote string as a single Tcl word, so that it is taken literally.
+     * @param[in] {string} theText text to quote
+     * @return {string} quoted word
+     */
+    _tclQuote(theText) {
+        if (theText === "") {
+            return "{}";
+        }
+        return theText.replace(/[\\{}\[\]$";\s]/g, (theChar) => {
+            switch (theChar) {
+                case "\n": return "\\n";
+                case "\r": return "\\r";
+                case "\t": return "\\t";
+            }
+            return "\\" + theChar;
+        });
+    }
+
+    /**
+     * Put command into the execution queue.
+     * @param[in] {string} theCmd command to execute
+     * @param[in] {boolean} theToEcho print command to terminal
+     * @param[in] {number} theTimeLimit optional time limit in milliseconds (default time limit is used if undefined)
+     * @return {Promise<DrawCommandResult>} promise resolved after command evaluation
+     */
+    _termQueueCommand(theCmd, theToEcho, theTimeLimit) {
+        //console.warn(" @@ _termQueueCommand (" + theCmd + ")");
+        return this.queueCommand(theCmd, {toEcho: theToEcho, timeLimit: theTimeLimit}).done;
+    }
+
+    /**
+     * Pop and evaluate a command from the queue.
+     */
+    _termPopCommandFromQueue() {
+        if (this._myCmdRunning != null) {
+            return;
+        }
+
+        let aCmd = this._myCmdQueue.pop();
+        if (aCmd === null) {
+            return;
+        }
+
+        if (aCmd.toEcho) {
+            this.terminalWriteMultiline(aCmd.command);
+        }
+
+        this._myCmdRunning = aCmd;
+        this._termEvaluate(aCmd).then((theCmdStatus) => {
+            this.terminalPrintInputLine("");
+            this._myCmdRunning = null;
+            if (theCmdStatus.status === "timeout") {
+                this.cancelQueue();
+            }
+            if (aCmd.onDone) {
+                aCmd.onDone(theCmdStatus);
+            }
+            if (!this._myCmdQueue.isEmpty()) {
+                setTimeout(() => {
+                    this._termPopCommandFromQueue();
+                }, this._myCmdTimeout);
+            } else {
+                this._emitEvent("queue-empty", {});
+            }
+        }).catch((theErr) => {
+            //this.terminalPrintInputLine ("");
+            this.terminalWriteError(theErr);
+            this.terminalPrintInputLine("");
+            this._myCmdRunning = null;
+            if (aCmd.onDone) {
+                let aResult = new DrawCommandResult(aCmd.command);
+                aResult.id = aCmd.id;
+                aResult.status = "error";
+                aResult.messages.push(new DrawMessage(String(theErr), "fail", "js"));
+                aCmd.onDone(aResult);
+            }
+            if (!this._myCmdQueue.isEmpty()) {
+                setTimeout(() => {
+                    this._termPopCommandFromQueue();
+                }, this._myCmdTimeout);
+            } else {
+                this._emitEvent("queue-empty", {});
+            }
+        });
+    }
+
+    /**
+     * Report command removed from the queue as cancelled.
+     * @param[in] {DrawCommand} theCmd removed command
+     */
+    _termCancelCommand(theCmd) {
+        let aResult = new DrawCommandResult(theCmd.command);
+        aResult.id = theCmd.id;
+        aResult.status = "cancelled";
+        this._emitEvent("command-end", {id: aResult.id, command: aResult.command, status: aResult.status,
+                                        duration: 0, result: aResult});
+        if (theCmd.onDone) {
+            theCmd.onDone(aResult);
+        }
+    }
+
+    /**
+     * Append message to the result of currently evaluated command, emit "output" event and print message into terminal.
+     * Messages printed outside of command evaluation (e.g. while loading WASM) are not collected.
+     * @param[in] {string} theText message text
+     * @param[in] {number} theGravity message gravity within 0..4 range
+     * @param[in] {string} theSource message source
+     * @param[in] {DrawCommandResult} theResult optional result to append message to instead of currently evaluated command
+     */
+    _termAddMessage(theText, theGravity, theSource, theResult) {
+        if (theText == null) {
+            return;
+        }
+
+        let aText = String(theText);
+        if (aText === "") {
+            return;
+        } else if (this._myCapture != null) {
+            this._myCapture.push(aText);
+            return;
+        }
+
+        let aMsg = new DrawMessage(aText, DRAWTERM_GRAVITY_NAMES[theGravity], theSource);
+        let aResult = theResult !== undefined ? theResult : this._myCmdResult;
+        if (aResult != null) {
+            aResult.messages.push(aMsg);
+        }
+        this._emitEvent("output", {id: aResult != null ? aResult.id : null, message: aMsg});
+        this._termWriteMessage(aText, theGravity, theSource);
+    }
+
+    /**
+     * Print message into terminal on a new line using gravity-specific color.
+     * @param[in] {string} theText message text
+     * @param[in] {number} theGravity message gravity within 0..4 range
+     * @param[in] {string} theSource message source
+     */
+    _termWriteMessage(theText, theGravity, theSource) {
+        let aColor = theSource === "stderr" ? "\x1B[31m" : DRAWTERM_GRAVITY_COLORS[theGravity];
+        this.terminalWrite("\n\r");
+        if (aColor !== "") {
+            this.terminalWriteMultiline(aColor + theText + "\x1B[0m");
+        } else {
+            this.terminalWriteMultiline(theText);
+        }
+    }
+
+    /**
+     * Dispatch DrawTermEvent.
+     * @param[in] {string} theType event type
+     * @param[in] {Object} theDetail event properties
+     */
+    _emitEvent(theType, theDetail) {
+        this.dispatchEvent(new DrawTermEvent(theType, theDetail));
+    }
+
+//#endregion
+
+//#region Additional Tcl commands implemented in JavaScript
+
+    /**
+     * Register Tcl command implemented in JavaScript.
+     * The command can be called as the first word of terminal input as well as from Tcl scripts and procedures
+     * (through Tcl procedure with the same name defined after WASM loading).
+     * Handler receives command arguments split following Tcl rules and returns:
+     *   - FALSE on failure (error should be printed by handler itself) or throws Error;
+     *   - string to be used as command result;
+     *   - TRUE or undefined on success;
+     *   - promise to any of the above for asynchronous commands.
+     * Note that Tcl code cannot wait for asynchronous handler, so that such command can be called only as the first word
+     * of terminal input, and raises Tcl error when called from Tcl scripts and procedures.
+     * @param[in] {string} theName command name
+     * @param[in] {Object} theOptions command definition:
+     *   - handler {function} function (theArgs, theDraw) implementing command and called in context of DrawTerm;
+     *   - help {string} help text with command syntax in the first line;
+     *   - group {string} help group ("JavaScript commands" by default);
+     *   - aliases {Array<string>} alternative command names;
+     *   - isAsync {boolean} handler returns promise, so that command raises error when called from Tcl code (FALSE by default);
+     *   - isTclCallable {boolean} define Tcl procedure to call command from Tcl code (TRUE by default).
+     */
+    registerJsCommand(theName, theOptions) {
+        let anOptions = theOptions || {};
+        if (typeof anOptions.handler !== "function") {
+            throw new Error("handler of command '" + theName + "' is not a function");
+        }
+
+        let aCmd = {
+            name: theName,
+            handler: anOptions.handler,
+            help: anOptions.help !== undefined ? anOptions.help : theName,
+            group: anOptions.group !== undefined ? anOptions.group : "JavaScript commands",
+            aliases: anOptions.aliases !== undefined ? anOptions.aliases : [],
+            isAsync: anOptions.isAsync === true,
+            isTclCallable: anOptions.isTclCallable !== false
+        };
+        [theName].concat(aCmd.aliases).forEach((theCmdName) => {
+            if (!/^[A-Za-z_][\w:]*$/.test(theCmdName)) {
+                throw new Error("invalid command name '" + theCmdName + "'");
+            }
+        });
+        [theName].concat(aCmd.aliases).forEach((theCmdName) => {
+            this._myJsCommands.set(theCmdName, aCmd);
+            if (this.FS != null) {
+                this._defineJsCommand(theCmdName, aCmd);
+            }
+        });
+    }
+
+    /**
+     * Unregister Tcl command implemented in JavaScript together with its aliases.
+     * @param[in] {string} theName command name
+     * @return {boolean} FALSE if command is not registered
+     */
+    unregisterJsCommand(theName) {
+        let aCmd = this._myJsCommands.get(theName);
+        if (aCmd === undefined) {
+            return false;
+        }
+
+        [aCmd.name].concat(aCmd.aliases).forEach((theCmdName) => {
+            this._myJsCommands.delete(theCmdName);
+            if (this.FS != null && aCmd.isTclCallable) {
+                this._tclEvalSilent("rename " + theCmdName + " {}");
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Return names of registered Tcl commands implemented in JavaScript (including aliases).
+     * @return {Array<string>} list of command names
+     */
+    jsCommands() {
+        return Array.from(this._myJsCommands.keys());
+    }
+
+    /**
+     * Register built-in JavaScript commands.
+     */
+    _registerBuiltinJsCommands() {
+        const aBuiltins = {
+            jsdownload: {handler: this._commandJsdownload, aliases: ["jsdown", "download"]},
+            jsupload: {handler: this._commandJsupload, isAsync: true, aliases: ["upload"]},
+            jsasync: {handler: this._commandJsasync, isTclCallable: false},
+            jseval: {handler: this._commandJseval},
+            jsinspect: {handler: this._commandJsinspect},
+            jsvalidate: {handler: this._commandJsvalidate},
+            jsscreenshot: {handler: this._commandJsscreenshot, isAsync: true},
+            jsrecord: {handler: this._commandJsrecord},
+            jssession: {handler: this._commandJssession, isAsync: true},
+            jsls: {handler: this._commandJsls},
+            jsrm: {handler: this._commandJsrm},
+            jsmv: {handler: this._commandJsmv},
+            jsmkdir: {handler: this._commandJsmkdir},
+            jscat: {handler: this._commandJscat},
+            jsexport: {handler: this._commandJsexport, isAsync: true},
+            jsopen: {handler: this._commandJsopen, isAsync: true},
+            jssync: {handler: this._commandJssync, isAsync: true},
+            jspersist: {handler: this._commandJspersist, isAsync: true},
+            jscache: {handler: this._commandJscache, isAsync: true}
+        };
+        Object.keys(aBuiltins).forEach((theName) => {
+            let aBuiltin = aBuiltins[theName];
+            aBuiltin.help = DRAWTERM_JS_COMMANDS_HELP[theName];
+            this.registerJsCommand(theName, aBuiltin);
+        });
+    }
+
+    /**
+     * Register help of JavaScript command and define Tcl procedure forwarding calls to JavaScript.
+     * The procedure prints DRAWTERM_JS_CALL_MARKER line with command name and hex-encoded UTF-8 list of arguments
+     * handled synchronously by print() callback, which puts command result into ::_jscall_result or ::_jscall_error variable.
+     * Procedure of asynchronous command just raises error, as Tcl code cannot wait for its completion.
+     * @param[in] {string} theName command name (or alias)
+     * @param[in] {Object} theCmd registered command definition
+     */
+    _defineJsCommand(theName, theCmd) {
+        if (theName === theCmd.name) {
+            this._tclEvalSilent("help " + theName + " " + this._tclQuote(theCmd.help) + " " + this._tclQuote(theCmd.group));
+        }
+        if (!theCmd.isTclCallable) {
+            return;
+        }
+
+        if (theCmd.isAsync) {
+            let anError = "command '" + theName + "' is asynchronous and can be called only as the first word of terminal input";
+            this._tclEvalSilent("proc " + theName + " {args} {\n"
+                              + "  error " + this._tclQuote(anError) + "\n"
+                              + "}");
+            return;
+        }
+
+        this._tclEvalSilent("proc " + theName + " {args} {\n"
+                          + "  puts \"" + DRAWTERM_JS_CALL_MARKER.replace("\x01", "\\x01") + theName
+                          + " [binary encode hex [encoding convertto utf-8 $args]]\"\n"
+                          + "  flush stdout\n"
+                          + "  if {[info exists ::_jscall_error]} {\n"
+                          + "    set anErr $::_jscall_error\n"
+                          + "    unset ::_jscall_error\n"
+                          + "    error $anErr\n"
+                          + "  }\n"
+                          + "  set aRes $::_jscall_result\n"
+                          + "  unset ::_jscall_result\n"
+                          + "  return $aRes\n"
+                          + "}");
+    }
+
+    /**
+     * Call JavaScript command as the first word of terminal input.
+     * @param[in] {Object} theCmd registered command definition
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean|string|Promise} evaluation result as boolean, status string or promise
+     */
+    _callJsCommand(theCmd, theArgs) {
+        const aResultFunc = (theResult) => {
+            if (theResult === DRAWTERM_ASYNC_CANCELLED) {
+                return "cancelled";
+            } else if (typeof theResult === "string") {
+                if (theResult !== "") {
+                    this.terminalWriteLine(theResult);
+                }
+                return true;
+            }
+            return theResult !== false;
+        };
+
+        let aResult = theCmd.handler.call(this, theArgs, this);
+        if (aResult != null && typeof aResult.then === "function") {
+            return aResult.then(aResultFunc);
+        }
+        return aResultFunc(aResult);
+    }
+
+    /**
+     * Handle call to JavaScript command from Tcl procedure defined by _defineJsCommand().
+     * Handler returning promise (not registered as asynchronous) is reported as error,
+     * while the promise itself is left running in background.
+     * @param[in] {string} theCall command name followed by hex-encoded list of arguments
+     */
+    _onJsCommandCall(theCall) {
+        let aSep = theCall.indexOf(" ");
+        let aName = aSep !== -1 ? theCall.substring(0, aSep) : theCall;
+        let aCmd = this._myJsCommands.get(aName);
+        let aResult = "";
+        let anError = null;
+        try {
+            if (aCmd === undefined) {
+                throw new Error("invalid command name \"" + aName + "\"");
+            }
+
+            let anArgs = this._parseTclWords(this._decodeTclHex(aSep !== -1 ? theCall.substring(aSep + 1) : ""));
+            let aRes = aCmd.handler.call(this, anArgs, this);
+            if (aRes != null && typeof aRes.then === "function") {
+                aRes.catch(theErr => this._termAddMessage(theErr, 4, "js"));
+                anError = "command '" + aName + "' is asynchronous and can be called only as the first word of terminal input";
+            } else if (aRes === false) {
+                anError = aName + " has failed";
+            } else if (typeof aRes === "string") {
+                aResult = aRes;
+            }
+        } catch (theErr) {
+            anError = theErr.message !== undefined ? theErr.message : String(theErr);
+        }
+
+        if (anError != null) {
+            this._tclEvalSilent("set ::_jscall_error " + this._tclQuote(anError));
+        } else {
+            this._tclEvalSilent("set ::_jscall_result " + this._tclQuote(aResult));
+        }
+    }
+
+    /**
+     * Split command arguments into words following Tcl rules:
+     * words in braces are taken literally, while quoted and bare words get backslash, variable and command substitution.
+     * @param[in] {string} theArgs command arguments as string
+     * @return {Array<string>} list of words
+     */
+    _parseTclWords(theArgs) {
+        let aWords = [];
+        let aPos = 0;
+        for (;;) {
+            while (aPos < theArgs.length && /\s/.test(theArgs.charAt(aPos))) {
+                ++aPos;
+            }
+            if (aPos >= theArgs.length) {
+                break;
+            }
+
+            let aChar = theArgs.charAt(aPos);
+            let anEnd = aPos;
+            if (aChar === "{") {
+                let aDepth = 1;
+                for (anEnd = aPos + 1; anEnd < theArgs.length && aDepth > 0; ++anEnd) {
+                    let aSubChar = theArgs.charAt(anEnd);
+                    if (aSubChar === "\\") {
+                        ++anEnd;
+                    } else if (aSubChar === "{") {
+                        ++aDepth;
+                    } else if (aSubChar === "}") {
+                        --aDepth;
+                    }
+                }
+                if (aDepth !== 0) {
+                    throw new SyntaxError("missing close-brace");
+                }
+                aWords.push(theArgs.substring(aPos + 1, anEnd - 1));
+            } else if (aChar === "\"") {
+                let aRes = this._substTclWord(theArgs, aPos + 1, true);
+                if (aRes.end >= theArgs.length) {
+                    throw new SyntaxError("missing \"");
+                }
+                aWords.push(aRes.text);
+                anEnd = aRes.end + 1;
+            } else {
+                let aRes = this._substTclWord(theArgs, aPos, false);
+                aWords.push(aRes.text);
+                anEnd = aRes.end;
+            }
+
+            if (anEnd < theArgs.length && !/\s/.test(theArgs.charAt(anEnd))) {
+                throw new SyntaxError("extra characters after close-" + (aChar === "{" ? "brace" : "quote"));
+            }
+            aPos = anEnd;
+        }
+        return aWords;
+    }
+
+    /**
+     * Perform Tcl substitution within a word.
+     * @param[in] {string} theText text to parse
+     * @param[in] {number} theStart position of word start
+     * @param[in] {boolean} theIsQuoted word is terminated by quote (otherwise by white space)
+     * @return {Object} {text, end} pair with substituted word and position of terminating character
+     */
+    _substTclWord(theText, theStart, theIsQuoted) {
+        let aRes = "";
+        let aPos = theStart;
+        while (aPos < theText.length) {
+            let aChar = theText.charAt(aPos);
+            if (theIsQuoted ? aChar === "\"" : /\s/.test(aChar)) {
+                break;
+            } else if (aChar === "\\" && aPos + 1 < theText.length) {
+                let anEscChar = theText.charAt(aPos + 1);
+                if (anEscChar === "\n") {
+                    // backslash-newline with following white space is replaced by a single space
+                    aPos += 2;
+                    while (aPos < theText.length && /[ \t]/.test(theText.charAt(aPos))) {
+                        ++aPos;
+                    }
+                    aRes += " ";
+                    continue;
+                }
+                let anEsc = DRAWTERM_TCL_ESCAPES[anEscChar];
+                aRes += anEsc !== undefined ? anEsc : anEscChar;
+                aPos += 2;
+            } else if (aChar === "$") {
+                let aMatch = /^\$(?:\{([^}]*)\}|((?:[A-Za-z0-9_]|::)+)(\([^)]*\))?)/.exec(theText.substring(aPos));
+                if (aMatch == null) {
+                    aRes += aChar;
+                    ++aPos;
+                    continue;
+                }
+
+                let aVarName = aMatch[1] !== undefined ? aMatch[1] : aMatch[2];
+                if (aMatch[3] !== undefined) {
+                    // array element with substituted index
+                    aVarName += "(" + this._substTclWord(aMatch[3].slice(1, -1) + "\"", 0, true).text + ")";
+                }
+                let aValue = this._tclResult("set {" + aVarName + "}");
+                if (!aValue.isOk) {
+                    throw new Error("can't read \"" + aVarName + "\": no such variable");
+                }
+                aRes += aValue.result;
+                aPos += aMatch[0].length;
+            } else if (aChar === "[") {
+                let aDepth = 1;
+                let anEnd = aPos + 1;
+                for (; anEnd < theText.length && aDepth > 0; ++anEnd) {
+                    let aSubChar = theText.charAt(anEnd);
+                    if (aSubChar === "\\") {
+                        ++anEnd;
+                    } else if (aSubChar === "[") {
+                        ++aDepth;
+                    } else if (aSubChar === "]") {
+                        --aDepth;
                     }
-                } else {
-                    this._myTermLine = "";
-                    this._termQueueCommand(aCmd, aNbNewLines != 0);
-                    ++aNbNewLines;
                 }
+                if (aDepth !== 0) {
+                    throw new SyntaxError("missing close-bracket");
+                }
+
+                let aScript = theText.substring(aPos + 1, anEnd - 1);
+                let aValue = this._tclResult(aScript);
+                if (!aValue.isOk) {
+                    throw new Error("command substitution [" + aScript + "] has failed" + (aValue.output !== "" ? ":\n" + aValue.output : ""));
+                }
+                aRes += aValue.result;
+                aPos = anEnd;
+            } else {
+                aRes += aChar;
+                ++aPos;
             }
-            // if (aChar === "\x1b[A"), "\x1b[B" up/down arrows are handled by attachCustomKeyEventHandler()
-            else // normal symbol
-            {
-                if (this._myTermLineCharPos < 0) {
-                    // insert character
-                    let aFront = this._myTermLine.substring(0, this._myTermLine.length + this._myTermLineCharPos);
-                    let aTail = this._myTermLine.substring(this._myTermLine.length + this._myTermLineCharPos);
-                    this.terminalWrite(aChar + aTail);
-                    this.terminalWrite("\x1b[" + (-this._myTermLineCharPos) + "D");
-                    this._myTermLine = aFront + aChar + aTail;
+        }
+        return {text: aRes, end: aPos};
+    }
+
+    /**
+     * Evaluate Tcl script silently and retrieve its result.
+     * The result is stored into temporary variable and retrieved separately from the output of the script itself.
+     * @param[in] {string} theScript script to evaluate
+     * @return {Object} {isOk, result, output} with evaluation status, result and captured output
+     */
+    _tclResult(theScript) {
+        // the last command returns empty result, so that only output of the script itself is printed
+        let anEval = this._tclEvalSilent("set ::_jsresult [" + theScript + "]; list");
+        if (!anEval.isOk) {
+            this._tclEvalSilent("unset -nocomplain ::_jsresult");
+            return {isOk: false, result: "", output: anEval.output};
+        }
+
+        let aValue = this._tclReadVar("::_jsresult");
+        this._tclEvalSilent("unset -nocomplain ::_jsresult");
+        return {isOk: aValue.isOk, result: aValue.value, output: anEval.output};
+    }
+
+    /**
+     * Read value of Tcl variable exactly.
+     * Printed output cannot be used for this purpose, as it loses empty lines and trailing new lines
+     * and might be mixed with stderr messages - so that the value is printed as hex-encoded UTF-8 bytes
+     * preceded by their number, which is used to verify the line.
+     * @param[in] {string} theName variable name
+     * @return {Object} {isOk, value} with reading status and variable value
+     */
+    _tclReadVar(theName) {
+        let aRes = this._tclEvalSilent("set ::_jsbytes [encoding convertto utf-8 [set " + this._tclQuote(theName) + "]]\n"
+                                     + "format {%d:%s} [string length $::_jsbytes] [binary encode hex $::_jsbytes][unset ::_jsbytes]");
+        this._tclEvalSilent("unset -nocomplain ::_jsbytes");
+        let aLines = aRes.isOk ? aRes.output.split("\n") : [];
+        for (let aLineIter = aLines.length - 1; aLineIter >= 0; --aLineIter) {
+            let aMatch = /^(\d+):([0-9a-f]*)$/.exec(aLines[aLineIter]);
+            if (aMatch != null && aMatch[2].length === parseInt(aMatch[1]) * 2) {
+                return {isOk: true, value: this._decodeTclHex(aMatch[2])};
+            }
+        }
+        return {isOk: false, value: ""};
+    }
+
+    /**
+     * Create usage error for JavaScript command.
+     * @param[in] {string} theName command name
+     * @param[in] {string} theMessage error description
+     * @return {SyntaxError} error with command syntax from help
+     */
+    _commandUsageError(theName, theMessage) {
+        let aCmd = this._myJsCommands.get(theName);
+        return new SyntaxError(theMessage + (aCmd !== undefined ? "\nUsage: " + aCmd.help.split("\n")[0] : ""));
+    }
+
+    /**
+     * Parse JavaScript command arguments.
+     * @param[in] {string} theName command name
+     * @param[in] {Array<string>} theWords command arguments
+     * @param[in] {Object} theFlags map of supported flags to their number of values (0 or 1)
+     * @param[in] {number} theNbArgsMin minimal number of positional arguments
+     * @param[in] {number} theNbArgsMax maximal number of positional arguments (-1 for unlimited)
+     * @return {Object} {args, flags} pair with positional arguments and values of specified flags (TRUE for flags without value)
+     */
+    _parseCommandArgs(theName, theWords, theFlags, theNbArgsMin, theNbArgsMax) {
+        let aRes = {args: [], flags: {}};
+        for (let anArgIter = 0; anArgIter < theWords.length; ++anArgIter) {
+            let aParam = theWords[anArgIter];
+            let aNbValues = theFlags[aParam];
+            if (aNbValues === undefined) {
+                if (aParam.length > 1 && aParam.startsWith("-") && isNaN(Number(aParam))) {
+                    throw this._commandUsageError(theName, "unknown option '" + aParam + "'");
+                }
+                aRes.args.push(aParam);
+            } else if (aNbValues === 0) {
+                aRes.flags[aParam] = true;
+            } else if (anArgIter + 1 < theWords.length) {
+                aRes.flags[aParam] = theWords[++anArgIter];
+            } else {
+                throw this._commandUsageError(theName, "option '" + aParam + "' requires a value");
+            }
+        }
+        if (aRes.args.length < theNbArgsMin || (theNbArgsMax >= 0 && aRes.args.length > theNbArgsMax)) {
+            throw this._commandUsageError(theName, "wrong number of arguments");
+        }
+        return aRes;
+    }
+
+    /**
+     * Evaluate jsdownload command downloading file from emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJsdownload(theArgs) {
+        let anArgs = this._parseCommandArgs("jsdownload", theArgs, {}, 1, 2).args;
+        let aFilePath = anArgs[0];
+        let aFileName = anArgs.length >= 2 ? anArgs[1] : aFilePath.split("/").pop();
+        let aType = this._fileMimeType(aFilePath);
+        try {
+            let aData = this.FS.readFile(aFilePath);
+            this.terminalWriteLine("downloading file '" + aFileName + "' of size " + aData.length + " bytes...");
+            this.downloadDataFile(aData, aFileName, aType);
+            return true;
+        } catch (theError) {
+            this.terminalWriteError("Error: file '" + aFilePath + "' cannot be read with " + theError);
+            return false;
+        }
+    }
+
+    /**
+     * Evaluate jsupload command uploaded file to emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
+     */
+    _commandJsupload(theArgs) {
+        let toPreload = true;
+        let toOverwrite = true;
+        let aSrcList = [];
+        let aDstList = [];
+        for (let anArgIter = 0; anArgIter < theArgs.length; ++anArgIter) {
+            let aParam = theArgs[anArgIter];
+            if (aParam === "-nopreload") {
+                toPreload = false;
+            } else if (aParam === "-nooverwrite") {
+                toOverwrite = false;
+            } else if (aParam === "-overwrite") {
+                // default behavior, accepted for compatibility with older scripts
+                toOverwrite = true;
+            } else if (aParam === "-path") {
+                if (aSrcList.length === 0 || aDstList[aDstList.length - 1] !== "" || anArgIter + 1 >= theArgs.length) {
+                    return Promise.reject(this._commandUsageError("jsupload", "option '-path' should follow file URL and have a value"));
+                }
+                aDstList[aDstList.length - 1] = theArgs[++anArgIter];
+            } else if (aParam.length > 1 && aParam.startsWith("-")) {
+                return Promise.reject(this._commandUsageError("jsupload", "unknown option '" + aParam + "'"));
+            } else {
+                aSrcList.push(aParam);
+                aDstList.push("");
+            }
+        }
+        if (aSrcList.length === 0) {
+            return Promise.reject(this._commandUsageError("jsupload", "wrong number of arguments"));
+        }
+
+        let aPromises = [];
+        for (let aFileIter = 0; aFileIter < aSrcList.length; ++aFileIter) {
+            let aFileUrl = aSrcList[aFileIter];
+            let aFilePath = aDstList[aFileIter];
+            if (aFileUrl === ".") {
+                aPromises.push(this.uploadFile(aFilePath, toPreload, toOverwrite));
+            } else {
+                aPromises.push(this.uploadUrl(aFileUrl, aFilePath, toPreload, toOverwrite));
+            }
+        }
+        if (aPromises.length === 1) {
+            return aPromises[0];
+        }
+        if (typeof Promise.allSettled === "function") {
+            return new Promise((theResolve, theReject) => {
+                Promise.allSettled(aPromises)
+                    .then(theResults => {
+                        let aFailList = "";
+                        let nbFails = 0;
+                        theResults.forEach((aResIter) => {
+                            if (aResIter.status === "rejected") {
+                                ++nbFails;
+                                if (aFailList.length !== 0) {
+                                    aFailList += "\r\n";
+                                }
+                                aFailList += aResIter.reason;
+                            }
+                        });
+
+                        if (nbFails === 0) {
+                            theResolve(true);
+                        } else {
+                            theReject(new Error(aFailList));
+                        }
+                    });
+            });
+        }
+        return Promise.all(aPromises);
+    }
+
+    /**
+     * Evaluate jsls command listing folder content on emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJsls(theArgs) {
+        let aParsed = this._parseCommandArgs("jsls", theArgs, {"-l": 0}, 0, 1);
+        let toShowDetails = aParsed.flags["-l"] === true;
+        let aPath = aParsed.args.length > 0 ? aParsed.args[0] : this.FS.cwd();
+        try {
+            let aStat = this.FS.stat(aPath);
+            let aNames = [aPath];
+            let aDir = "";
+            if (this.FS.isDir(aStat.mode)) {
+                aNames = this.FS.readdir(aPath).filter(theName => theName !== "." && theName !== "..").sort();
+                aDir = aPath.endsWith("/") ? aPath : aPath + "/";
+            }
+            aNames.forEach((theName) => {
+                let anEntryStat = aDir !== "" ? this.FS.stat(aDir + theName) : aStat;
+                let isDir = this.FS.isDir(anEntryStat.mode);
+                if (!toShowDetails) {
+                    this.terminalWriteLine(theName + (isDir ? "/" : ""));
+                    return;
+                }
+                let aSize = isDir ? "-" : String(anEntryStat.size);
+                this.terminalWriteLine((isDir ? "d " : "- ") + aSize.padStart(12) + " "
+                    + new Date(anEntryStat.mtime).toISOString() + " " + theName + (isDir ? "/" : ""));
+            });
+            return true;
+        } catch (theError) {
+            this.terminalWriteError("Error: '" + aPath + "' cannot be listed with " + theError);
+            return false;
+        }
+    }
+
+    /**
+     * Evaluate jsrm command removing files from emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJsrm(theArgs) {
+        let aParsed = this._parseCommandArgs("jsrm", theArgs, {"-r": 0}, 1, -1);
+        let isRecursive = aParsed.flags["-r"] === true;
+        const aRemoveFunc = (thePath) => {
+            if (!this.FS.isDir(this.FS.stat(thePath).mode)) {
+                this.FS.unlink(thePath);
+                return;
+            } else if (!isRecursive) {
+                throw new Error("'" + thePath + "' is a folder (use -r to remove folders)");
+            }
+
+            this.FS.readdir(thePath).forEach((theName) => {
+                if (theName !== "." && theName !== "..") {
+                    aRemoveFunc(thePath + "/" + theName);
+                }
+            });
+            this.FS.rmdir(thePath);
+        };
+
+        let isOk = true;
+        aParsed.args.forEach((thePath) => {
+            try {
+                aRemoveFunc(thePath);
+            } catch (theError) {
+                this.terminalWriteError("Error: '" + thePath + "' cannot be removed with " + theError);
+                isOk = false;
+            }
+        });
+        return isOk;
+    }
+
+    /**
+     * Evaluate jsmv command moving file on emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJsmv(theArgs) {
+        let aParsed = this._parseCommandArgs("jsmv", theArgs, {"-overwrite": 0}, 2, 2);
+        let aSrcPath = aParsed.args[0];
+        let aDstPath = aParsed.args[1];
+        try {
+            let aDstStat = this.FS.analyzePath(aDstPath);
+            if (aDstStat.exists && this.FS.isDir(aDstStat.object.mode)) {
+                // move into existing folder
+                aDstPath = (aDstPath.endsWith("/") ? aDstPath : aDstPath + "/") + aSrcPath.split("/").pop();
+                aDstStat = this.FS.analyzePath(aDstPath);
+            }
+            if (aDstStat.exists && aParsed.flags["-overwrite"] !== true) {
+                throw new Error("file '" + aDstPath + "' already exists (use -overwrite to replace it)");
+            }
+            this.FS.rename(aSrcPath, aDstPath);
+            return true;
+        } catch (theError) {
+            this.terminalWriteError("Error: '" + aSrcPath + "' cannot be moved to '" + aDstPath + "' with " + theError);
+            return false;
+        }
+    }
+
+    /**
+     * Evaluate jsmkdir command creating folders on emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJsmkdir(theArgs) {
+        let aParsed = this._parseCommandArgs("jsmkdir", theArgs, {"-p": 0}, 1, -1);
+        let isOk = true;
+        aParsed.args.forEach((thePath) => {
+            try {
+                if (aParsed.flags["-p"] === true) {
+                    this._mkdirTree(thePath);
                 } else {
-                    // append character
-                    if (aNbNewLines == 0) {
-                        this.terminalWrite(aChar);
-                    }
-                    this._myTermLine += aChar;
+                    this.FS.mkdir(thePath);
                 }
+            } catch (theError) {
+                this.terminalWriteError("Error: folder '" + thePath + "' cannot be created with " + theError);
+                isOk = false;
             }
+        });
+        return isOk;
+    }
+
+    /**
+     * Evaluate jscat command printing text file from emulated file system.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean} evaluation result
+     */
+    _commandJscat(theArgs) {
+        let aFilePath = this._parseCommandArgs("jscat", theArgs, {}, 1, 1).args[0];
+        try {
+            let aText = this.FS.readFile(aFilePath, {encoding: "utf8"});
+            aText.split(/\r?\n/).forEach((theLine, theIndex, theLines) => {
+                if (theIndex + 1 < theLines.length || theLine !== "") {
+                    this.terminalWriteLine(theLine);
+                }
+            });
+            return true;
+        } catch (theError) {
+            this.terminalWriteError("Error: file '" + aFilePath + "' cannot be read with " + theError);
+            return false;
         }
     }
 
     /**
-     * Put command into the execution queue.
-     * @param[in] {string} theCmd command to execute
-     * @param[in] {boolean} theToEcho print command to terminal
+     * Evaluate jsexport command writing shapes into a file and downloading it.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
      */
-    _termQueueCommand(theCmd, theToEcho) {
-        //console.warn(" @@ _termQueueCommand (" + theCmd + ")");
-        // run multiple commands with delay so that the user will see the progress
-        // (otherwise JavaScript will run all commands in one shot with hanging output)
-        this._myCmdQueue.add(new DrawCommand(theCmd, theToEcho));
-        if (this._myCmdQueue.extent() == 1) {
-            setTimeout(() => {
-                this._termPopCommandFromQueue();
-            }, this._myCmdTimeout);
+    _commandJsexport(theArgs) {
+        let aParsed = this._parseCommandArgs("jsexport", theArgs, {"-format": 1}, 2, -1);
+        let anOptions = {};
+        if (aParsed.flags["-format"] !== undefined) {
+            anOptions.format = aParsed.flags["-format"];
         }
+
+        let aFileName = aParsed.args.pop();
+        return this.exportModel(aParsed.args, aFileName, anOptions).then(() => true);
     }
 
     /**
-     * Pop and evaluate a command from the queue.
+     * Evaluate jsopen command uploading and importing model file.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
      */
-    _termPopCommandFromQueue() {
-        let aCmd = this._myCmdQueue.pop();
-        if (aCmd === null) {
-            return;
+    _commandJsopen(theArgs) {
+        let aParsed = this._parseCommandArgs("jsopen", theArgs,
+                                             {"-name": 1, "-format": 1, "-path": 1, "-nodisplay": 0, "-nofit": 0}, 1, 1);
+        let anOptions = {name: aParsed.flags["-name"], format: aParsed.flags["-format"], path: aParsed.flags["-path"],
+                         toDisplay: aParsed.flags["-nodisplay"] !== true, toFit: aParsed.flags["-nofit"] !== true};
+        return this.openModel(aParsed.args[0], anOptions).then((theModel) => {
+            this.terminalWriteLine(theModel.format + " file '" + theModel.path + "' has been imported as '" + theModel.name + "'");
+            return true;
+        });
+    }
+
+    /**
+     * Evaluate jssync command synchronizing persistent folder with IndexedDB.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
+     */
+    _commandJssync(theArgs) {
+        let aParsed = this._parseCommandArgs("jssync", theArgs, {"-load": 0, "-save": 0}, 0, 0);
+        if (aParsed.flags["-load"] === true && aParsed.flags["-save"] === true) {
+            throw this._commandUsageError("jssync", "options '-load' and '-save' are mutually exclusive");
         }
 
-        if (aCmd.toEcho) {
-            this.terminalWrite(aCmd.command);
+        let toLoad = aParsed.flags["-load"] === true;
+        return this.syncPersistentDir(toLoad).then(() => {
+            this.terminalWriteLine("'" + this._myPersistDir + "' has been " + (toLoad ? "loaded from" : "saved to") + " IndexedDB");
+            return true;
+        });
+    }
+
+    /**
+     * Evaluate jspersist command managing persistent folder.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
+     */
+    async _commandJspersist(theArgs) {
+        let aParsed = this._parseCommandArgs("jspersist", theArgs, {"-auto": 1, "-request": 0}, 0, 0);
+        let anAuto = aParsed.flags["-auto"];
+        if (anAuto !== undefined) {
+            if (anAuto !== "0" && anAuto !== "1" && anAuto !== "on" && anAuto !== "off") {
+                throw this._commandUsageError("jspersist", "wrong value '" + anAuto + "' of option '-auto'");
+            }
+            this.setAutoSync(anAuto === "1" || anAuto === "on");
+        }
+        if (aParsed.flags["-request"] === true) {
+            let isPersisted = await this.requestPersistentStorage();
+            if (!isPersisted) {
+                this.terminalWriteWarning("Warning: browser has declined persistent storage request");
+            }
         }
 
-        this.termEvaluateCommand(aCmd.command).then((theCmdStatus) => {
-            this.terminalPrintInputLine("");
-            if (!this._myCmdQueue.isEmpty()) {
-                setTimeout(() => {
-                    this._termPopCommandFromQueue();
-                }, this._myCmdTimeout);
+        const aSizeFunc = (theSize) => theSize < 0 ? "unknown" : (theSize / (1024 * 1024)).toFixed(2) + " MiB";
+        let aReport = await this.persistentStorageReport();
+        this.terminalWriteLine("Folder:      " + (aReport.dir !== "" ? aReport.dir : "disabled")
+                             + (aReport.isMounted ? "" : " (not mounted)"));
+        this.terminalWriteLine("Auto sync:   " + (aReport.autoSync ? "on" : "off")
+                             + (aReport.isDirty ? " (has unsaved modifications)" : ""));
+        this.terminalWriteLine("Files:       " + aReport.nbFiles + " (" + aSizeFunc(aReport.size) + ")");
+        this.terminalWriteLine("Usage:       " + aSizeFunc(aReport.usage) + " of " + aSizeFunc(aReport.quota)
+                             + (aReport.usage >= 0 && aReport.quota > 0 ? " (" + (100 * aReport.usage / aReport.quota).toFixed(1) + "%)" : ""));
+        this.terminalWriteLine("Persistent:  " + (aReport.isPersisted ? "yes" : "no (may be evicted by browser)"));
+        return true;
+    }
+
+    /**
+     * Evaluate jscache command printing or clearing cached WASM builds.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
+     */
+    async _commandJscache(theArgs) {
+        let aParsed = this._parseCommandArgs("jscache", theArgs, {"-files": 0}, 0, 1);
+        let anAction = aParsed.args.length !== 0 ? aParsed.args[0] : "info";
+        if (anAction === "clear") {
+            let aNbCaches = await this.clearWasmCache();
+            this.terminalWriteLine(aNbCaches + " cache(s) have been removed");
+            return true;
+        } else if (anAction !== "info") {
+            throw this._commandUsageError("jscache", "unknown action '" + anAction + "'");
+        }
+
+        const aSizeFunc = (theSize) => (theSize / (1024 * 1024)).toFixed(2) + " MiB";
+        let aReport = await this.wasmCacheReport();
+        if (!aReport.isSupported) {
+            this.terminalWriteLine("Cache Storage is unavailable");
+            return true;
+        }
+        this.terminalWriteLine("WASM cache:  " + (this._myWasmCacheName !== "" ? this._myWasmCacheName : "disabled"));
+        aReport.caches.forEach((theCache) => {
+            this.terminalWriteLine("Cache:       " + theCache.name + " - " + theCache.files.length + " files ("
+                                 + aSizeFunc(theCache.size) + ")");
+            if (aParsed.flags["-files"] === true) {
+                theCache.files.forEach((theFile) => {
+                    this.terminalWriteLine("  " + theFile.url + " (" + aSizeFunc(theFile.size) + ")"
+                                         + (theFile.hash !== "" ? " sha256:" + theFile.hash.substring(0, 12) : ""));
+                });
             }
-        }).catch((theErr) => {
-            //this.terminalPrintInputLine ("");
-            this.terminalWriteError(theErr);
-            this.terminalPrintInputLine("");
-            if (!this._myCmdQueue.isEmpty()) {
-                setTimeout(() => {
-                    this._termPopCommandFromQueue();
-                }, this._myCmdTimeout);
+        });
+        this.terminalWriteLine("Total:       " + aSizeFunc(aReport.size));
+        return true;
+    }
+
+    /**
+     * Evaluate jsasync command running Tcl command asynchronously.
+     * @param[in] {Array<string>} theArgs command words
+     * @return {Promise} evaluation result as promise resolved to DRAWTERM_ASYNC_CANCELLED if command has been cancelled
+     */
+    _commandJsasync(theArgs) {
+        if (theArgs.length === 0) {
+            throw this._commandUsageError("jsasync", "wrong number of arguments");
+        } else if (this._myIsAsyncRunning) {
+            throw new Error("previous jsasync command is still running in background");
+        }
+
+        return new Promise((theResolve, theReject) => {
+            this._myIsAsyncRunning = true;
+            this.evalAsyncCompleted = (theResult) => {
+                this.evalAsyncCompleted = undefined;
+                if (theResult === DRAWTERM_ASYNC_CANCELLED) {
+                    theResolve(DRAWTERM_ASYNC_CANCELLED);
+                    return;
+                }
+                this._myIsAsyncRunning = false;
+                theResolve(theResult === 1);
+            };
+            this.evalAsyncCompleted = this.evalAsyncCompleted.bind(this);
+            try {
+                this.evalAsync(theArgs.map(theWord => this._tclQuote(theWord)).join(" "));
+            } catch (theErr) {
+                // completion callback will never be called
+                this.evalAsyncCompleted = undefined;
+                this._myIsAsyncRunning = false;
+                theReject(theErr);
             }
         });
     }
 
-//#endregion
-
-//#region Additional Tcl commands implemented in JavaScript
+    /**
+     * Evaluate jsinspect command printing shape properties.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {string} shape properties serialized into JSON
+     */
+    _commandJsinspect(theArgs) {
+        let aParsed = this._parseCommandArgs("jsinspect", theArgs, {}, 1, 1);
+        return JSON.stringify(this.inspectShape(aParsed.args[0]));
+    }
 
     /**
-     * Evaluate jsdownload command downloading file from emulated file system.
-     * @param[in] {string} theArgs command arguments as string
+     * Evaluate jsvalidate command validating shapes.
+     * @param[in] {Array<string>} theArgs command arguments
      * @return {boolean} evaluation result
      */
-    _commandJsdownload(theArgs) {
-        let anArgs = theArgs.split(" ");
-        if (theArgs === "" || (anArgs.length != 1 && anArgs.length != 2)) {
-            this.terminalWriteError("Syntax error: wrong number of arguments");
-            return false;
+    _commandJsvalidate(theArgs) {
+        let aParsed = this._parseCommandArgs("jsvalidate", theArgs,
+                                             {"-checks": 1, "-maxtol": 1, "-highlight": 0, "-json": 1, "-html": 1}, 0, -1);
+        let anOptions = {toHighlight: aParsed.flags["-highlight"] === true};
+        if (aParsed.flags["-checks"] !== undefined) {
+            anOptions.checks = aParsed.flags["-checks"].split(/[\s,]+/).filter(theCheck => theCheck !== "");
         }
-
-        let aFilePath = anArgs[0];
-        let aFileName = aFilePath;
-        if (anArgs.length >= 2) {
-            aFileName = anArgs[1];
-        } else {
-            let aPathSplit = aFilePath.split("/");
-            if (aPathSplit.length > 1) {
-                aFileName = aPathSplit[aPathSplit.length - 1];
+        if (aParsed.flags["-maxtol"] !== undefined) {
+            anOptions.maxTolerance = Number(aParsed.flags["-maxtol"]);
+            if (isNaN(anOptions.maxTolerance) || anOptions.maxTolerance <= 0) {
+                throw this._commandUsageError("jsvalidate", "wrong value '" + aParsed.flags["-maxtol"] + "' of option '-maxtol'");
             }
         }
 
-        let aNameLower = aFilePath.toLowerCase();
-        let aType = "application/octet-stream";
-        if (aNameLower.endsWith(".png")) {
-            aType = "image/png";
-        } else if (aNameLower.endsWith(".jpg")
-            || aNameLower.endsWith(".jpeg")) {
-            aType = "image/jpeg";
+        let aReport = this.validateShapes(aParsed.args, anOptions);
+        aReport.shapes.forEach((theShape) => {
+            if (theShape.isValid) {
+                this.terminalWriteLine(theShape.name + ": valid");
+                return;
+            }
+            this.terminalWriteWarning(theShape.name + ": " + theShape.problems.length + " problem(s)");
+            theShape.problems.forEach((theProblem) => {
+                this.terminalWriteWarning("  [" + theProblem.check + "] " + theProblem.message.replace(/\n/g, "\n    ")
+                                        + (theProblem.subShapes.length !== 0 ? "\n    sub-shapes: " + theProblem.subShapes.join(" ") : ""));
+            });
+        });
+        this.terminalWriteLine("Shapes: " + aReport.shapes.length + ", invalid: " + aReport.nbFaulty + ", problems: " + aReport.nbProblems);
+
+        if (aParsed.flags["-json"] !== undefined) {
+            this.downloadDataFile(JSON.stringify(aReport, null, 2), aParsed.flags["-json"], "application/json");
         }
-        try {
-            let aData = this.FS.readFile(aFilePath);
-            this.terminalWriteLine("downloading file '" + aFileName + "' of size " + aData.length + " bytes...");
-            this.downloadDataFile(aData, aFileName, aType);
-            return true;
-        } catch (theError) {
-            this.terminalWriteError("Error: file '" + aFilePath + "' cannot be read with " + theError);
-            return false;
+        if (aParsed.flags["-html"] !== undefined) {
+            this.downloadDataFile(this.validationReportHtml(aReport), aParsed.flags["-html"], "text/html");
         }
+        return true;
     }
 
     /**
-     * Evaluate jsupload command uploaded file to emulated file system.
-     * @param[in] {string} theArgs command arguments as string
+     * Evaluate jsscreenshot command capturing image of the active 3D view.
+     * @param[in] {Array<string>} theArgs command arguments
      * @return {Promise} evaluation result as promise
      */
-    _commandJsupload(theArgs) {
-        let anArgs = theArgs.split(" ").filter(theVal => theVal !== "");
-        let toPreload = true; // TODO - make optional
-        let aSrcList = [];
-        let aDstList = [];
-        for (let anArgIter = 0; anArgIter < anArgs.length; ++anArgIter) {
-            let aParam = anArgs[anArgIter];
-            if (aParam === "") {
-                continue;
+    async _commandJsscreenshot(theArgs) {
+        let aParsed = this._parseCommandArgs("jsscreenshot", theArgs, {"-width": 1, "-height": 1, "-format": 1, "-quality": 1,
+                                                                       "-transparent": 0, "-save": 0}, 1, 1);
+        let aFileName = aParsed.args[0];
+        let anOptions = {transparent: aParsed.flags["-transparent"] === true};
+        ["-width", "-height", "-quality"].forEach((theFlag) => {
+            if (aParsed.flags[theFlag] !== undefined) {
+                let aValue = Number(aParsed.flags[theFlag]);
+                if (isNaN(aValue) || aValue <= 0) {
+                    throw this._commandUsageError("jsscreenshot", "wrong value '" + aParsed.flags[theFlag] + "' of option '" + theFlag + "'");
+                }
+                anOptions[theFlag.substring(1)] = aValue;
             }
-
-            let aFilePath = "";
-            aSrcList.push(aParam);
-            if (anArgIter + 2 < anArgs.length
-                && anArgs[anArgIter + 1] === "-path") {
-                aFilePath = anArgs[anArgIter + 2];
-                anArgIter += 2;
+        });
+        if (aParsed.flags["-format"] !== undefined) {
+            anOptions.format = aParsed.flags["-format"];
+        } else {
+            let anExt = aFileName.includes(".") ? aFileName.split(".").pop().toLowerCase() : "";
+            if (DRAWTERM_CAPTURE_FORMATS.includes(anExt === "jpg" ? "jpeg" : anExt)) {
+                anOptions.format = anExt;
             }
-            aDstList.push(aFilePath);
         }
-        if (aSrcList.length === 0) {
-            return Promise.reject(new SyntaxError("wrong number of arguments"));
+
+        let aBlob = await this.captureView(anOptions);
+        let aData = new Uint8Array(await aBlob.arrayBuffer());
+        if (aParsed.flags["-save"] === true) {
+            this.FS.writeFile(aFileName, aData);
+            this.terminalWriteLine("image " + aBlob.type + " has been written into '" + aFileName + "'");
+        } else {
+            this.downloadDataFile(aData, aFileName, aBlob.type);
         }
+        return true;
+    }
 
-        let aPromises = [];
-        for (let aFileIter = 0; aFileIter < aSrcList.length; ++aFileIter) {
-            let aFileUrl = aSrcList[aFileIter];
-            let aFilePath = aDstList[aFileIter];
-            if (aFileUrl === ".") {
-                aPromises.push(this.uploadFile(aFilePath, toPreload));
-            } else {
-                aPromises.push(this.uploadUrl(aFileUrl, aFilePath, toPreload));
+    /**
+     * Evaluate jsrecord command managing session recording.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {boolean|Promise} evaluation result
+     */
+    _commandJsrecord(theArgs) {
+        let aParsed = this._parseCommandArgs("jsrecord", theArgs, {"-output": 0, "-download": 0}, 1, 2);
+        let anAction = aParsed.args[0];
+        let aFileName = aParsed.args[1];
+        if ((anAction === "save" || anAction === "replay") !== (aFileName !== undefined)) {
+            throw this._commandUsageError("jsrecord", "wrong number of arguments");
+        }
+
+        switch (anAction) {
+            case "start": {
+                this.startRecording({toRecordOutput: aParsed.flags["-output"] === true});
+                this.terminalWriteLine("recording has been started");
+                return true;
+            }
+            case "stop": {
+                if (!this.isRecording()) {
+                    throw new Error("recording has not been started");
+                }
+                this.stopRecording();
+                this.terminalWriteLine("recording has been stopped");
+                return true;
+            }
+            case "save": {
+                if (this._myRecord == null) {
+                    throw new Error("nothing has been recorded");
+                }
+                if (aParsed.flags["-download"] === true) {
+                    this.downloadDataFile(this.recordedScript(), aFileName, "text/plain");
+                } else {
+                    this.FS.writeFile(aFileName, this.recordedScript());
+                    this.terminalWriteLine("recorded script has been written into '" + aFileName + "'");
+                }
+                return true;
+            }
+            case "replay": {
+                return this.replayScript(this.FS.readFile(aFileName, {encoding: "utf8"})).then((theNbCmds) => {
+                    this.terminalWriteLine(theNbCmds + " commands have been replayed from '" + aFileName + "'");
+                    return true;
+                });
             }
         }
-        if (aPromises.length === 1) {
-            return aPromises[0];
+        throw this._commandUsageError("jsrecord", "unknown action '" + anAction + "'");
+    }
+
+    /**
+     * Evaluate jssession command saving or restoring Draw session.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {Promise} evaluation result as promise
+     */
+    async _commandJssession(theArgs) {
+        let aParsed = this._parseCommandArgs("jssession", theArgs, {"-fs": 0}, 2, 2);
+        let aFileName = aParsed.args[1];
+        switch (aParsed.args[0]) {
+            case "save": {
+                let aSession = await this.saveSession();
+                if (aParsed.flags["-fs"] === true) {
+                    this.FS.writeFile(aFileName, aSession);
+                    this.terminalWriteLine("session has been written into '" + aFileName + "'");
+                } else {
+                    this.downloadDataFile(aSession, aFileName, "application/json");
+                }
+                return true;
+            }
+            case "load": {
+                let aData = null;
+                if (aFileName === ".") {
+                    let aFiles = await this._chooseLocalFile();
+                    aData = await this._readLocalFile(aFiles[0]);
+                } else if (this.FS.analyzePath(aFileName).exists) {
+                    aData = this.FS.readFile(aFileName);
+                } else {
+                    aData = (await this._fetchUrl(aFileName)).data;
+                }
+                let aRes = await this.loadSession(aData);
+                this.terminalWriteLine("session has been restored: " + aRes.variables + " variables, " + aRes.files + " files");
+                return true;
+            }
         }
-        if (typeof Promise.allSettled === "function") {
-            return new Promise((theResolve, theReject) => {
-                Promise.allSettled(aPromises)
-                    .then(theResults => {
-                        let aFailList = "";
-                        let nbFails = 0;
-                        theResults.forEach((aResIter) => {
-                            if (aResIter.status === "rejected") {
-                                ++nbFails;
-                                if (aFailList.length !== 0) {
-                                    aFailList += "\r\n";
-                                }
-                                aFailList += aResIter.reason;
-                            }
-                        });
+        throw this._commandUsageError("jssession", "unknown action '" + aParsed.args[0] + "'");
+    }
 
-                        if (nbFails === 0) {
-                            theResolve(true);
-                        } else {
-                            theReject(new Error(aFailList));
-                        }
-                    });
-            });
+    /**
+     * Evaluate jseval command running JavaScript code.
+     * @param[in] {Array<string>} theArgs command arguments
+     * @return {string|Promise<string>} value serialized into JSON (empty string for undefined value)
+     */
+    _commandJseval(theArgs) {
+        if (theArgs.length === 0) {
+            throw this._commandUsageError("jseval", "wrong number of arguments");
         }
-        return Promise.all(aPromises);
+
+        const aJsonFunc = (theValue) => {
+            let aJson = JSON.stringify(theValue);
+            return aJson !== undefined ? aJson : "";
+        };
+
+        let aValue = this._evalJsScript(theArgs.join(" "));
+        if (aValue != null && typeof aValue.then === "function") {
+            return aValue.then(aJsonFunc);
+        }
+        return aJsonFunc(aValue);
+    }
+
+    /**
+     * Evaluate JavaScript code for jseval command.
+     * @param[in] {string} theScript JavaScript code
+     * @return {any|Promise} evaluation result
+     */
+    _evalJsScript(theScript) {
+        // indirect eval() evaluates code within global scope
+        return (0, eval)(theScript);
     }
 
 //#endregion
@@ -967,8 +4828,18 @@ class DrawTerm {
      * @param[in] {string} theText text to print
      */
     print(theText) {
+        if (theText && theText.startsWith(DRAWTERM_JS_CALL_MARKER)) {
+            // the marker line is still kept by stdout TTY while this callback is running,
+            // so that it should be cleared to avoid appending output of nested evaluations to the marker
+            let aStdout = this.FS != null ? this.FS.getStream(1) : null;
+            if (aStdout != null && aStdout.tty != null) {
+                aStdout.tty.output = [];
+            }
+            this._onJsCommandCall(theText.substring(DRAWTERM_JS_CALL_MARKER.length));
+            return;
+        }
         if (theText && theText.length > 0) {
-            this.printMessage(theText, -1);
+            this._termAddMessage(theText, 1, "stdout");
         }
     }
 
@@ -976,9 +4847,10 @@ class DrawTerm {
      * C++ std::cerr callback redirecting to Terminal.
      * @param[in] {string} theText text to print
      */
-    printErr(theText, level) {
-        console.error("ERROR", theText, level);
-        this.printMessage(theText, -1);
+    printErr(theText) {
+        if (theText && theText.length > 0) {
+            this._termAddMessage(theText, 4, "stderr");
+        }
     }
 
     /**
@@ -987,23 +4859,12 @@ class DrawTerm {
      * @param[in] {number} theGravity message gravity within 0..4 range
      */
     printMessage(theText, theGravity) {
-        switch (theGravity) {
-            case 0: // trace
-                this.terminalWriteTrace(theText);
-                return;
-            case 1: // info
-                this.terminalWriteInfo(theText);
-                return;
-            case 2: // warning
-                this.terminalWriteWarning(theText);
-                return;
-            case 3: // alarm
-            case 4: // fail
-                this.terminalWriteError(theText);
-                return;
+        if (theGravity < 0 || theGravity >= DRAWTERM_GRAVITY_NAMES.length) {
+            this.print(theText);
+            return;
         }
-        this.terminalWrite("\n\r");
-        this.terminalWriteMultiline(theText);
+
+        this._termAddMessage(theText, theGravity, "message");
     }
 
     /**
@@ -1031,36 +4892,345 @@ class DrawTerm {
      */
     _onWasmCreated() {
         this._myIsWasmLoaded = true;
+        this._setLoadPhase("ready");
         this.terminalWrite("\n\r");
         //this.eval ("dversion");
 
         // register JavaScript commands
-        this.eval("help jsdownload "
-            + "{jsdownload filePath [fileName]"
-            + "\n\t\t: Download file from emulated file system"
-            + "\n\t\t:   filePath file path within emulated file system to download;"
-            + "\n\t\t:   fileName file name to download.}"
-            + " {JavaScript commands}");
-        this.eval("help jsupload "
-            + "{jsupload fileUrl1 [-path filePath1] [fileUrl2 [-path filePath2]] ..."
-            + "\n\t\t: Upload files to emulated file system"
-            + "\n\t\t:   fileUrl  URL on server or . to show open file dialog;"
-            + "\n\t\t:   filePath file path within emulated file system to create.}"
-            + " {JavaScript commands}");
-        this.eval("help jsasync "
-            + "{jsasync command ..."
-            + "\n\t\t: Run Tcl command asynchronously.}"
-            + " {JavaScript commands}");
+        this._myJsCommands.forEach((theCmd, theName) => this._defineJsCommand(theName, theCmd));
 
         this.terminalPrintInputLine("");
+        this._emitEvent("wasm-loaded", {build: this._myWasmBuild});
     }
 
 //#endregion
 
 };
 
-//! Create WebAssembly module instance and wait.
-var DRAWEXE = new DrawTerm();
-createDRAWEXE = function () {
-    return DRAWEXE.init();
+/**
+ * Names of emulated file system methods forwarded by DrawTermProxy.FS.
+ */
+const DRAWTERM_PROXY_FS_METHODS = ["readFile", "writeFile", "readdir", "stat", "mkdir", "rmdir", "unlink", "rename", "cwd", "chdir"];
+
+/**
+ * Names of DrawTerm methods accessing Tcl interpreter, session state or caches forwarded by DrawTermProxy (returning promises).
+ */
+const DRAWTERM_PROXY_TCL_METHODS = ["tclEval", "getTclVar", "setTclVar", "getDrawNumber", "setDrawNumber", "inspectShape",
+                                    "validateShapes", "validationReport", "highlightValidationProblems",
+                                    "startRecording", "stopRecording", "isRecording", "recordedScript", "replayScript",
+                                    "saveSession", "loadSession", "wasmCacheReport", "clearWasmCache"];
+
+/**
+ * Main thread proxy to DrawTerm hosted within a dedicated Web Worker (see drawWorker.js),
+ * so that long modeling commands do not freeze the page.
+ * Viewer canvas is transferred to Worker as OffscreenCanvas when available; otherwise the Worker works in headless mode.
+ * Note that mouse and keyboard events are not forwarded to the viewer within Worker.
+ * Re-emits events listed in DRAWTERM_EVENT_TYPES received from Worker.
+ */
+class DrawTermProxy extends EventTarget {
+
+    /**
+     * Main constructor.
+     * @param[in] {Object} theOptions optional parameters:
+     *   - canvas {HTMLCanvasElement|string} canvas element to transfer into Worker or its id ("occViewerCanvas" by default);
+     *   - basePrefix {string} location of drawWorker.js and WASM builds folders (guessed from location of this script by default);
+     *   - persistDir {string} folder backed by IndexedDB (disabled by default, see DrawTerm constructor);
+     *   - wasmCache {boolean|string} keep WASM build within Cache Storage for offline use (see DrawTerm constructor);
+     *   - onOutput {function(DrawMessage)} callback receiving printed messages (see "output" event);
+     *   - onLoadProgress {function(Object)} callback receiving WASM loading progress (see "load-progress" event).
+     */
+    constructor(theOptions) {
+        super();
+        let anOptions = theOptions || {};
+        this._myWorker = null;          // Worker hosting DRAWEXE
+        this._myRequests = new Map();   // pending requests to Worker
+        this._myRequestCounter = 0;     // last request id
+        this._myFileInput = null;       // Hidden file input field
+        this._myBasePrefix = anOptions.basePrefix !== undefined ? anOptions.basePrefix : _DRAWTERM_BASE_PREFIX;
+        this._myPersistDir = anOptions.persistDir; // persistent folder passed to Worker (default if undefined)
+        this._myWasmCache = anOptions.wasmCache;   // WASM cache option passed to Worker (disabled if undefined)
+        let aCanvas = anOptions.canvas !== undefined ? anOptions.canvas : "occViewerCanvas";
+        this.canvas = typeof aCanvas === "string" ? document.getElementById(aCanvas) : aCanvas; // canvas element to transfer into Worker
+        if (anOptions.onOutput !== undefined) {
+            this.addEventListener("output", (theEvent) => anOptions.onOutput(theEvent.detail.message));
+        }
+        this._myLoadProgress = {phase: "fetch", build: "", assets: {}, loaded: 0, total: 0}; // last WASM loading progress
+        this.addEventListener("load-progress", (theEvent) => {
+            this._myLoadProgress = theEvent.detail;
+        });
+        if (anOptions.onLoadProgress !== undefined) {
+            this.addEventListener("load-progress", (theEvent) => anOptions.onLoadProgress(theEvent.detail));
+        }
+
+        // emulated file system interface - the same methods as Emscripten FS but returning promises
+        this.FS = {};
+        DRAWTERM_PROXY_FS_METHODS.forEach((theMethod) => {
+            this.FS[theMethod] = (...theArgs) => this._request({type: "fs", method: theMethod, args: theArgs});
+        });
+
+        // Tcl interpreter interface - the same methods as DrawTerm but returning promises
+        DRAWTERM_PROXY_TCL_METHODS.forEach((theMethod) => {
+            this[theMethod] = (...theArgs) => this._request({type: "tcl", method: theMethod, args: theArgs});
+        });
+    }
+
+    /**
+     * Start Worker and load WASM file within it.
+     * @return {Promise} promise resolved when module is loaded
+     */
+    init() {
+        this._myWorker = new Worker(this._myBasePrefix + "drawWorker.js");
+        this._myWorker.onmessage = (theEvent) => {
+            this._onWorkerMessage(theEvent.data);
+        };
+        this._myWorker.onerror = (theEvent) => {
+            let anErr = new Error("Worker failed: " + theEvent.message);
+            this._myRequests.forEach((theRequest) => theRequest.reject(anErr));
+            this._myRequests.clear();
+        };
+
+        let anInitMsg = {type: "init", basePrefix: this._myBasePrefix, persistDir: this._myPersistDir, wasmCache: this._myWasmCache,
+                         pageUrl: document.baseURI, canvas: null, canvasRect: null};
+        let aTransfer = [];
+        if (this.canvas != null && typeof this.canvas.transferControlToOffscreen === "function") {
+            let aRect = this.canvas.getBoundingClientRect();
+            anInitMsg.canvasRect = {left: aRect.left, top: aRect.top, right: aRect.right, bottom: aRect.bottom,
+                                    width: aRect.width, height: aRect.height};
+            anInitMsg.canvas = this.canvas.transferControlToOffscreen();
+            aTransfer.push(anInitMsg.canvas);
+        }
+        return this._request(anInitMsg, aTransfer);
+    }
+
+    /**
+     * Return progress of WebAssembly module loading within Worker.
+     * @return {Object} last reported progress (see DrawTerm.loadProgress())
+     */
+    loadProgress() {
+        return this._myLoadProgress;
+    }
+
+    /**
+     * Terminate Worker.
+     */
+    terminate() {
+        if (this._myWorker != null) {
+            this._myWorker.terminate();
+            this._myWorker = null;
+        }
+    }
+
+    /**
+     * Evaluate a command within Worker.
+     * @param[in] {string} theCmd command to execute
+     * @param[in] {number} theTimeLimit optional time limit in milliseconds
+     * @return {Promise<DrawCommandResult>} evaluation result as promise
+     */
+    termEvaluateCommand(theCmd, theTimeLimit) {
+        return this._request({type: "eval", command: theCmd, timeLimit: theTimeLimit})
+            .then(theResult => Object.assign(new DrawCommandResult(theCmd), theResult));
+    }
+
+    /**
+     * Put command into the execution queue within Worker.
+     * @param[in] {string} theCmd command to execute
+     * @param[in] {Object} theOptions optional parameters, see DrawTerm.queueCommand()
+     * @return {Promise<DrawCommand>} promise returning queued command with identifier and "done" promise returning DrawCommandResult
+     */
+    queueCommand(theCmd, theOptions) {
+        return new Promise((theResolve, theReject) => {
+            // Worker posts queued command as item and responds with evaluation result
+            let aDone = this._request({type: "queue", command: theCmd, options: theOptions}, [], (theQueued) => {
+                let aCmd = new DrawCommand(theCmd, theQueued.toEcho, theQueued.timeLimit);
+                aCmd.id = theQueued.id;
+                aCmd.done = aDone.then(theResult => Object.assign(new DrawCommandResult(theCmd), theResult));
+                theResolve(aCmd);
+            });
+            aDone.catch(theReject);
+        });
+    }
+
+    /**
+     * Remove pending command from the execution queue within Worker.
+     * @param[in] {number} theId command identifier
+     * @return {Promise<boolean>} FALSE if command is not found in the queue
+     */
+    removeCommand(theId) {
+        return this._request({type: "remove", commandId: theId});
+    }
+
+    /**
+     * Remove all pending commands from the execution queue within Worker.
+     * @return {Promise<number>} number of removed commands
+     */
+    cancelQueue() {
+        return this._request({type: "cancel"});
+    }
+
+    /**
+     * Evaluate a script within Worker.
+     * @param[in] {string} theScript script as a line-separated string
+     * @param[in] {Object} theOptions optional parameters, see DrawTerm.runScript()
+     * @return {Promise<Object>} script report
+     */
+    runScript(theScript, theOptions) {
+        let anOptions = Object.assign({}, theOptions);
+        let aCallback = anOptions.onCommand;
+        delete anOptions.onCommand; // functions cannot be passed to Worker
+        return this._request({type: "script", script: theScript, options: anOptions}, [], aCallback)
+            .then((theReport) => {
+                theReport.commands.forEach((theItem) => {
+                    if (theItem.result != null) {
+                        theItem.result = Object.assign(new DrawCommandResult(theItem.command), theItem.result);
+                    }
+                });
+                return theReport;
+            });
+    }
+
+    /**
+     * Fetch remote file from specified URL and upload it to emulated file system.
+     * @param[in] {string} theFileUrl  URL to load
+     * @param[in] {string} theFilePath file path on emulated file system (or empty string to take name from URL)
+     * @param[in] {boolean} theToPreload decode image file using Emscripten plugins
+     * @param[in] {boolean} theToOverwrite replace existing file (TRUE if undefined)
+     * @return {Promise} evaluation result as promise returning TRUE or Error
+     */
+    uploadUrl(theFileUrl, theFilePath, theToPreload, theToOverwrite) {
+        return this._request({type: "uploadUrl", url: theFileUrl, path: theFilePath, preload: theToPreload, overwrite: theToOverwrite});
+    }
+
+    /**
+     * Set policy applied to URLs loaded by uploadUrl().
+     * @param[in] {Object} thePolicy policy (see DrawTerm.setUrlPolicy())
+     * @return {Promise} promise resolved when policy is applied
+     */
+    setUrlPolicy(thePolicy) {
+        return this._request({type: "urlPolicy", policy: thePolicy});
+    }
+
+    /**
+     * Upload model file and import it into Draw session.
+     * @param[in] {string} theSource URL to load, path on emulated file system or . to show open file dialog
+     * @param[in] {Object} theOptions optional parameters (see DrawTerm.openModel())
+     * @return {Promise<Object>} promise returning {name, format, path} of imported model
+     */
+    openModel(theSource, theOptions) {
+        return this._request({type: "openModel", source: theSource, options: theOptions || {}});
+    }
+
+    /**
+     * Write shapes into a file of specified format and download it.
+     * @param[in] {Array<string>} theShapes names of shapes to export
+     * @param[in] {string} theFileName name of the file to download
+     * @param[in] {Object} theOptions optional parameters (see DrawTerm.exportModel())
+     * @return {Promise<Object>} promise returning {format, files} with format name and list of downloaded file names
+     */
+    exportModel(theShapes, theFileName, theOptions) {
+        return this._request({type: "exportModel", shapes: theShapes, fileName: theFileName, options: theOptions || {}});
+    }
+
+    /**
+     * Capture image of the active 3D view.
+     * @param[in] {Object} theOptions optional parameters (see DrawTerm.captureView())
+     * @return {Promise<Blob>} promise returning image data
+     */
+    captureView(theOptions) {
+        return this._request({type: "captureView", options: theOptions || {}});
+    }
+
+    /**
+     * Upload local files to emulated file system keeping their relative folder structure.
+     * @param[in] {FileList|Array} theFiles files to upload (File objects or {file, path} pairs)
+     * @param[in] {string} theTargetDir folder on emulated file system to upload files into
+     * @param[in] {Object} theOptions optional parameters (see DrawTerm.uploadFiles())
+     * @return {Promise<Array<Object>>} promise returning list of {name, path, status, error} items
+     */
+    uploadFiles(theFiles, theTargetDir, theOptions) {
+        let anOptions = Object.assign({}, theOptions);
+        let aCallback = anOptions.onFileStatus;
+        delete anOptions.onFileStatus; // functions cannot be passed to Worker
+        return this._request({type: "uploadFiles", files: Array.from(theFiles), targetDir: theTargetDir, options: anOptions},
+                             [], aCallback);
+    }
+
+    /**
+     * Send request to Worker.
+     * @param[in] {Object} theMsg message to send
+     * @param[in] {Array} theTransfer list of objects to transfer
+     * @param[in] {function} theOnItem optional callback for intermediate items of the request
+     * @return {Promise} promise resolved by Worker response
+     */
+    _request(theMsg, theTransfer, theOnItem) {
+        if (this._myWorker == null) {
+            return Promise.reject(new Error("Worker is not started"));
+        }
+
+        return new Promise((theResolve, theReject) => {
+            let anId = ++this._myRequestCounter;
+            this._myRequests.set(anId, {resolve: theResolve, reject: theReject, onItem: theOnItem});
+            this._myWorker.postMessage(Object.assign({id: anId}, theMsg), theTransfer || []);
+        });
+    }
+
+    /**
+     * Handle message from Worker.
+     * @param[in] {Object} theMsg message data
+     */
+    _onWorkerMessage(theMsg) {
+        switch (theMsg.type) {
+            case "event": {
+                let aDetail = theMsg.detail;
+                if (aDetail.result != null) {
+                    aDetail.result = Object.assign(new DrawCommandResult(aDetail.command), aDetail.result);
+                }
+                this.dispatchEvent(new DrawTermEvent(theMsg.event, aDetail));
+                return;
+            }
+            case "item": {
+                let aRequest = this._myRequests.get(theMsg.id);
+                if (aRequest !== undefined && aRequest.onItem) {
+                    aRequest.onItem(theMsg.item);
+                }
+                return;
+            }
+            case "response": {
+                let aRequest = this._myRequests.get(theMsg.id);
+                if (aRequest === undefined) {
+                    return;
+                }
+                this._myRequests.delete(theMsg.id);
+                if (theMsg.error !== undefined) {
+                    aRequest.reject(new Error(theMsg.error));
+                } else {
+                    aRequest.resolve(theMsg.result);
+                }
+                return;
+            }
+            case "download": {
+                DrawTerm.prototype.downloadDataFile.call(this, theMsg.data, theMsg.name, theMsg.mime);
+                return;
+            }
+            case "chooseFile": {
+                // file dialog is available only on main thread
+                DrawTerm.prototype._chooseLocalFile.call(this)
+                    .then(theFiles => this._myWorker.postMessage({type: "response", id: theMsg.id, result: theFiles}))
+                    .catch(theErr => this._myWorker.postMessage({type: "response", id: theMsg.id, error: String(theErr)}));
+                return;
+            }
+            case "jseval": {
+                // jseval code is evaluated within page scope, the value is passed back serialized into JSON
+                Promise.resolve().then(() => DrawTerm.prototype._evalJsScript.call(this, theMsg.script))
+                    .then(theValue => this._myWorker.postMessage({type: "response", id: theMsg.id, result: JSON.stringify(theValue)}))
+                    .catch(theErr => this._myWorker.postMessage({type: "response", id: theMsg.id, error: String(theErr)}));
+                return;
+            }
+        }
+    }
+
 };
+
+if (typeof module === "object" && module.exports) {
+    // headless mode (Node.js) - see drawNode.js
+    module.exports = {DrawTerm, DrawCommand, DrawCommandQueue, DrawMessage, DrawCommandResult, DRAWTERM_GRAVITY_NAMES};
+}
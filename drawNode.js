@@ -0,0 +1,137 @@
+/**
+ * Headless Draw Harness for Node.js - runs DRAWEXE without DOM and viewer canvas.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {DrawTerm} = require("./drawInterface.js");
+
+/**
+ * Headless terminal loading "wasm32" build from disk.
+ * Commands jsupload/jsdownload are mapped to the real file system:
+ * local file paths are read from disk (URLs are fetched), downloads are written into output folder.
+ */
+class DrawTermNode extends DrawTerm {
+
+    /**
+     * Main constructor.
+     * @param[in] {Object} theOptions optional parameters (see DrawTerm constructor)
+     */
+    constructor(theOptions) {
+        super(theOptions);
+        this._myToPreferPthread = false; // multi-threaded build requires browser Workers
+        this._myOutput = process.stdout; // stream for printing messages (NULL to suppress output)
+        this._myDownloadDir = process.cwd(); // folder for files downloaded by jsdownload
+    }
+
+    /**
+     * Set stream for printing messages.
+     * @param[in] {stream.Writable} theStream output stream or NULL to suppress output
+     */
+    setOutput(theStream) {
+        this._myOutput = theStream;
+    }
+
+    /**
+     * Set folder for files downloaded by jsdownload command.
+     * @param[in] {string} theDir folder path on real file system
+     */
+    setDownloadDir(theDir) {
+        this._myDownloadDir = theDir;
+    }
+
+    /**
+     * Init Module and load WASM file from disk.
+     */
+    async wasmLoad() {
+        this._myWasmBuild = "wasm32";
+        this.FS = null;
+        try {
+            // read WASM binary explicitly, as Emscripten would otherwise try fetch() available since Node.js 18
+            this.wasmBinary = await fs.promises.readFile(this.locateFile("DRAWEXE.wasm", ""));
+            const aModCreator = require(this.locateFile("DRAWEXE.js", ""));
+            await aModCreator(this);
+            return Promise.resolve(true);
+        } catch (theError) {
+            return Promise.reject(new Error("WebAssembly '" + this._myWasmBuild + "' initialization has failed:\r\n" + theError));
+        }
+    }
+
+    /**
+     * Terminal input echo and prompts are not printed in headless mode.
+     * @param[in] {string} theText text to print
+     */
+    terminalWrite(theText) {
+        //
+    }
+
+    /**
+     * Print message into output stream as a separate line.
+     * @param[in] {string} theText message text
+     * @param[in] {number} theGravity message gravity within 0..4 range
+     * @param[in] {string} theSource message source
+     */
+    _termWriteMessage(theText, theGravity, theSource) {
+        if (this._myOutput != null) {
+            this._myOutput.write(theText.replace(/\r/g, "") + "\n");
+        }
+    }
+
+    /**
+     * Write file into output folder on real file system.
+     * @param[in] {Uint8Array} theData data to download
+     * @param[in] {string} theFileName file name to write data into
+     * @param[in] {string} theType data MIME type (ignored)
+     */
+    downloadDataFile(theData, theFileName, theType) {
+        fs.writeFileSync(path.resolve(this._myDownloadDir, theFileName), theData);
+    }
+
+    /**
+     * Read file from real file system (or fetch remote URL) and upload it to emulated file system.
+     * @param[in] {string} theFileUrl  file path on real file system or http(s)/data URL to load
+     * @param[in] {string} theFilePath file path on emulated file system (or empty string to take name from source)
+     * @param[in] {boolean} theToPreload ignored - image decoding plugins are unavailable in headless mode
+     * @param[in] {boolean} theToOverwrite replace existing file (TRUE if undefined)
+     * @return {Promise} evaluation result as promise returning TRUE or Error
+     */
+    uploadUrl(theFileUrl, theFilePath, theToPreload, theToOverwrite) {
+        return super.uploadUrl(theFileUrl, theFilePath, false, theToOverwrite);
+    }
+
+    /**
+     * Read file from real file system, or fetch URL when it has explicit scheme or base URL is defined.
+     * @param[in] {string} theFileUrl file path on real file system or URL to load
+     * @return {Promise<Object>} promise returning {name, data} pair with file name and content as Uint8Array
+     */
+    async _fetchUrl(theFileUrl) {
+        if (/^[a-z][a-z0-9+.-]+:/i.test(theFileUrl) || this._myUrlBase !== "") {
+            return super._fetchUrl(theFileUrl);
+        }
+
+        let aBuffer = await fs.promises.readFile(theFileUrl);
+        return {name: path.basename(theFileUrl), data: new Uint8Array(aBuffer)};
+    }
+
+    /**
+     * File dialog is unavailable in headless mode.
+     * @return {Promise} rejected promise
+     */
+    uploadFile(theFilePath, theToPreload) {
+        return Promise.reject(new Error("file dialog is unavailable in headless mode"));
+    }
+
+    /**
+     * Evaluate script file.
+     * @param[in] {string} theScriptPath path to Tcl script on real file system
+     * @param[in] {Object} theOptions runScript() options
+     * @return {Promise<Object>} script report
+     */
+    async runScriptFile(theScriptPath, theOptions) {
+        let aScript = await fs.promises.readFile(theScriptPath, "utf8");
+        return this.runScript(aScript, theOptions);
+    }
+
+};
+
+module.exports = {DrawTermNode};
@@ -0,0 +1,115 @@
+/**
+ * Optional Service Worker keeping page files within Cache Storage, so that Draw Harness starts offline after the first load.
+ * Large WASM build files are cached by DrawTerm itself with hash validation (see DrawTerm.setWasmCacheName());
+ * this Worker only falls back to that cache when network is unavailable.
+ */
+
+/**
+ * Cache Storage name for page files (should start with DRAWTERM_CACHE_PREFIX to be reported and cleared by jscache command).
+ */
+const DRAWSERVICEWORKER_CACHE = "drawexe-shell";
+
+/**
+ * Page files put into the cache on Service Worker installation (relative to Service Worker location).
+ */
+const DRAWSERVICEWORKER_FILES = ["./", "index.html", "drawInterface.js", "drawTerminal.js", "drawWorker.js",
+                                 "drawFsBrowser.js", "drawDropUpload.js", "drawValidation.js",
+                                 "wasm32-pthread/DRAWEXE.worker.js"];
+
+/**
+ * Files passed to network only: manifest should fail offline, so that DrawTerm uses cached WASM build without validation.
+ */
+const DRAWSERVICEWORKER_NETWORK_REGEX = /\/DRAWEXE\.manifest\.json$/;
+
+/**
+ * Files not put into this cache: large WASM build files are cached by DrawTerm.
+ */
+const DRAWSERVICEWORKER_SKIP_REGEX = /\/DRAWEXE\.(wasm|data)$/;
+
+/**
+ * Service Worker serving page files from network with fallback to the cache.
+ */
+class DrawServiceWorker {
+
+    /**
+     * Put page files into the cache; missing files are skipped and reported to opened pages.
+     * @return {Promise} promise resolved when files are cached
+     */
+    async install() {
+        let aCache = await caches.open(DRAWSERVICEWORKER_CACHE);
+        let aFailed = [];
+        await Promise.all(DRAWSERVICEWORKER_FILES.map((thePath) => {
+            return aCache.add(thePath).catch((theErr) => {
+                aFailed.push("'" + thePath + "' cannot be cached: " + theErr);
+            });
+        }));
+        if (aFailed.length !== 0) {
+            await this.postWarning(aFailed.join("\n"));
+        }
+    }
+
+    /**
+     * Pass warning to opened pages (including pages not yet controlled by Service Worker).
+     * @param[in] {string} theMessage warning text
+     * @return {Promise} promise resolved when message is posted
+     */
+    async postWarning(theMessage) {
+        let aClients = await self.clients.matchAll({type: "window", includeUncontrolled: true});
+        aClients.forEach((theClient) => {
+            theClient.postMessage({type: "warning", message: theMessage});
+        });
+    }
+
+    /**
+     * Handle fetch request - network first, so that modified page files are picked up while online.
+     * @param[in] {Request} theRequest request to handle
+     * @return {Promise<Response>} promise returning response
+     */
+    async fetch(theRequest) {
+        let aPath = new URL(theRequest.url).pathname;
+        if (DRAWSERVICEWORKER_NETWORK_REGEX.test(aPath)) {
+            return fetch(theRequest);
+        }
+
+        try {
+            let aResponse = await fetch(theRequest);
+            if (aResponse.ok && !DRAWSERVICEWORKER_SKIP_REGEX.test(aPath)) {
+                let aCache = await caches.open(DRAWSERVICEWORKER_CACHE);
+                await aCache.put(theRequest, aResponse.clone());
+            }
+            return aResponse;
+        } catch (theErr) {
+            // offline - look up all caches, including WASM builds cached by DrawTerm
+            let aCached = await caches.match(theRequest, {ignoreSearch: true});
+            if (aCached !== undefined) {
+                return aCached;
+            }
+            throw theErr;
+        }
+    }
+
+    /**
+     * Check if request should be handled by Service Worker.
+     * @param[in] {Request} theRequest request to check
+     * @return {boolean} TRUE for GET requests to files within Service Worker scope
+     */
+    isHandled(theRequest) {
+        return theRequest.method === "GET" && theRequest.url.startsWith(self.registration.scope);
+    }
+
+};
+
+//! Service Worker instance.
+const DRAWSERVICEWORKER = new DrawServiceWorker();
+self.addEventListener("install", (theEvent) => {
+    theEvent.waitUntil(DRAWSERVICEWORKER.install().then(() => self.skipWaiting()));
+});
+self.addEventListener("activate", (theEvent) => {
+    // control already opened page, so that files requested after the first load are cached as well
+    theEvent.waitUntil(self.clients.claim());
+});
+self.addEventListener("fetch", (theEvent) => {
+    if (DRAWSERVICEWORKER.isHandled(theEvent.request)) {
+        theEvent.respondWith(DRAWSERVICEWORKER.fetch(theEvent.request));
+    }
+});
@@ -0,0 +1,405 @@
+/**
+ * Minimal self-contained terminal widget implementing the subset of xterm.js interface used by DrawTerm:
+ * write() with CR/LF/backspace, cursor movement and SGR color escape sequences, scrollback,
+ * custom key event handler, data input callback and paste.
+ */
+
+/**
+ * Colors of ANSI palette - normal (30..37) and bright (90..97) colors.
+ */
+const DRAWTERMINAL_PALETTE = ["#000000", "#cd3131", "#0dbc79", "#e5e510", "#2472c8", "#bc3fbc", "#11a8cd", "#e5e5e5",
+                              "#666666", "#f14c4c", "#23d18b", "#f5f543", "#3b8eea", "#d670d6", "#29b8db", "#ffffff"];
+
+/**
+ * Terminal widget.
+ */
+class DrawTerminal {
+
+    /**
+     * Main constructor.
+     * @param[in] {HTMLElement} theParent parent element to append terminal into
+     * @param[in] {Object} theOptions optional parameters:
+     *   - rows {number} number of visible rows (24 by default);
+     *   - scrollback {number} maximum number of lines to keep (1000 by default).
+     */
+    constructor(theParent, theOptions) {
+        let anOptions = theOptions || {};
+        this._myScrollback = anOptions.scrollback !== undefined ? anOptions.scrollback : 1000;
+        this._myLines = [[]];         // lines of {ch, css} cells
+        this._myLineElems = [];       // elements displaying lines
+        this._myRow = 0;              // cursor line
+        this._myCol = 0;              // cursor column
+        this._myFg = -1;              // current foreground color index (-1 for default)
+        this._myBg = -1;              // current background color index (-1 for default)
+        this._myIsBold = false;       // current bold attribute
+        this._myCss = "";             // CSS of current attributes
+        this._myPending = "";         // incomplete escape sequence from previous write()
+        this._myDirty = new Set();    // indexes of lines to render
+        this._myIsRenderQueued = false;
+        this._myDataCallback = null;  // callback receiving input data
+        this._myKeyHandler = null;    // custom key event handler
+
+        this.element = document.createElement("div");
+        this.element.tabIndex = 0;
+        this.element.className = "drawterminal";
+        this.element.style.cssText = "font-family:monospace;font-size:13px;line-height:1.2;"
+            + "background-color:#000;color:" + DRAWTERMINAL_PALETTE[7] + ";"
+            + "white-space:pre-wrap;word-break:break-all;overflow-y:auto;outline:none;padding:4px;"
+            + "height:" + ((anOptions.rows || 24) * 1.2) + "em";
+        this.element.addEventListener("keydown", (theEvent) => this._onKeyDown(theEvent));
+        this.element.addEventListener("paste", (theEvent) => this._onPaste(theEvent));
+        this.element.addEventListener("focus", () => this._markDirty(this._myRow));
+        this.element.addEventListener("blur", () => this._markDirty(this._myRow));
+        theParent.appendChild(this.element);
+        this._markDirty(0);
+    }
+
+    /**
+     * Set callback receiving input data (typed characters, CR for Enter key and pasted text).
+     * @param[in] {function} theCallback callback receiving string
+     */
+    onData(theCallback) {
+        this._myDataCallback = theCallback;
+    }
+
+    /**
+     * Set custom key event handler called before processing keydown event.
+     * @param[in] {function} theHandler handler receiving KeyboardEvent and returning FALSE if key should be ignored
+     */
+    attachCustomKeyEventHandler(theHandler) {
+        this._myKeyHandler = theHandler;
+    }
+
+    /**
+     * Focus terminal.
+     */
+    focus() {
+        this.element.focus();
+    }
+
+    /**
+     * Scroll terminal by specified number of pages.
+     * @param[in] {number} thePageCount number of pages (negative to scroll up)
+     */
+    scrollPages(thePageCount) {
+        this.element.scrollTop += thePageCount * this.element.clientHeight;
+    }
+
+    /**
+     * Clear terminal content.
+     */
+    clear() {
+        this._myLines = [[]];
+        this._myRow = 0;
+        this._myCol = 0;
+        this._myLineElems.forEach((theElem) => theElem.remove());
+        this._myLineElems = [];
+        this._myDirty.clear();
+        this._markDirty(0);
+    }
+
+    /**
+     * Write text into terminal.
+     * @param[in] {string} theText text with control characters and escape sequences
+     */
+    write(theText) {
+        let aText = this._myPending + String(theText);
+        this._myPending = "";
+        this._markDirty(this._myRow);
+        for (let aCharIter = 0; aCharIter < aText.length; ++aCharIter) {
+            let aChar = aText.charAt(aCharIter);
+            if (aChar === "\x1b") {
+                if (aCharIter + 1 >= aText.length) {
+                    this._myPending = aText.substring(aCharIter);
+                    break;
+                }
+                if (aText.charAt(aCharIter + 1) !== "[") {
+                    // unsupported escape sequence
+                    ++aCharIter;
+                    continue;
+                }
+
+                let anEnd = aCharIter + 2;
+                while (anEnd < aText.length && !/[@-~]/.test(aText.charAt(anEnd))) {
+                    ++anEnd;
+                }
+                if (anEnd >= aText.length) {
+                    this._myPending = aText.substring(aCharIter);
+                    break;
+                }
+                this._applyCsi(aText.substring(aCharIter + 2, anEnd), aText.charAt(anEnd));
+                aCharIter = anEnd;
+            } else if (aChar === "\n") {
+                this._lineFeed();
+            } else if (aChar === "\r") {
+                this._myCol = 0;
+            } else if (aChar === "\b") {
+                this._myCol = Math.max(this._myCol - 1, 0);
+            } else if (aChar === "\t") {
+                do {
+                    this._putChar(" ");
+                } while (this._myCol % 8 !== 0);
+            } else if (aChar >= " ") {
+                this._putChar(aChar);
+            }
+        }
+        this._markDirty(this._myRow);
+    }
+
+    /**
+     * Put character at cursor position and move cursor.
+     * @param[in] {string} theChar character to put
+     */
+    _putChar(theChar) {
+        let aLine = this._myLines[this._myRow];
+        while (aLine.length < this._myCol) {
+            aLine.push({ch: " ", css: ""});
+        }
+        aLine[this._myCol] = {ch: theChar, css: this._myCss};
+        ++this._myCol;
+    }
+
+    /**
+     * Move cursor to the next line, appending a new line if needed.
+     */
+    _lineFeed() {
+        this._markDirty(this._myRow);
+        ++this._myRow;
+        if (this._myRow < this._myLines.length) {
+            return;
+        }
+
+        this._myLines.push([]);
+        if (this._myLines.length > this._myScrollback) {
+            // drop the oldest line
+            this._myLines.shift();
+            --this._myRow;
+            if (this._myLineElems.length > 0) {
+                this._myLineElems.shift().remove();
+            }
+            let aDirty = new Set();
+            this._myDirty.forEach((theIndex) => {
+                if (theIndex > 0) {
+                    aDirty.add(theIndex - 1);
+                }
+            });
+            this._myDirty = aDirty;
+        }
+    }
+
+    /**
+     * Apply CSI escape sequence.
+     * @param[in] {string} theParams sequence parameters
+     * @param[in] {string} theCmd final character of the sequence
+     */
+    _applyCsi(theParams, theCmd) {
+        let aParams = theParams.split(";").map(theVal => parseInt(theVal, 10));
+        let aNb = isNaN(aParams[0]) ? 1 : Math.max(aParams[0], 1);
+        switch (theCmd) {
+            case "m": {
+                this._applySgr(aParams);
+                return;
+            }
+            case "A": {
+                this._markDirty(this._myRow);
+                this._myRow = Math.max(this._myRow - aNb, 0);
+                return;
+            }
+            case "B": {
+                this._markDirty(this._myRow);
+                this._myRow = Math.min(this._myRow + aNb, this._myLines.length - 1);
+                return;
+            }
+            case "C": {
+                this._myCol += aNb;
+                return;
+            }
+            case "D": {
+                this._myCol = Math.max(this._myCol - aNb, 0);
+                return;
+            }
+            case "K": {
+                let aLine = this._myLines[this._myRow];
+                let aMode = isNaN(aParams[0]) ? 0 : aParams[0];
+                if (aMode === 0) {
+                    aLine.length = Math.min(aLine.length, this._myCol);
+                } else if (aMode === 1) {
+                    for (let aColIter = 0; aColIter <= this._myCol && aColIter < aLine.length; ++aColIter) {
+                        aLine[aColIter] = {ch: " ", css: ""};
+                    }
+                } else {
+                    aLine.length = 0;
+                }
+                return;
+            }
+            case "J": {
+                if (aParams[0] === 2 || aParams[0] === 3) {
+                    this.clear();
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Apply SGR (Select Graphic Rendition) parameters.
+     * @param[in] {Array<number>} theParams list of parameters
+     */
+    _applySgr(theParams) {
+        theParams.forEach((theCode) => {
+            if (isNaN(theCode) || theCode === 0) {
+                this._myFg = -1;
+                this._myBg = -1;
+                this._myIsBold = false;
+            } else if (theCode === 1) {
+                this._myIsBold = true;
+            } else if (theCode === 22) {
+                this._myIsBold = false;
+            } else if (theCode >= 30 && theCode <= 37) {
+                this._myFg = theCode - 30;
+            } else if (theCode >= 90 && theCode <= 97) {
+                this._myFg = theCode - 90 + 8;
+            } else if (theCode === 39) {
+                this._myFg = -1;
+            } else if (theCode >= 40 && theCode <= 47) {
+                this._myBg = theCode - 40;
+            } else if (theCode >= 100 && theCode <= 107) {
+                this._myBg = theCode - 100 + 8;
+            } else if (theCode === 49) {
+                this._myBg = -1;
+            }
+        });
+
+        this._myCss = "";
+        if (this._myFg !== -1) {
+            // bold text is drawn in bright colors like in xterm
+            let aFg = this._myIsBold && this._myFg < 8 ? this._myFg + 8 : this._myFg;
+            this._myCss += "color:" + DRAWTERMINAL_PALETTE[aFg] + ";";
+        }
+        if (this._myBg !== -1) {
+            this._myCss += "background-color:" + DRAWTERMINAL_PALETTE[this._myBg] + ";";
+        }
+        if (this._myIsBold) {
+            this._myCss += "font-weight:bold;";
+        }
+    }
+
+    /**
+     * Mark line for rendering.
+     * @param[in] {number} theRow line index
+     */
+    _markDirty(theRow) {
+        this._myDirty.add(theRow);
+        if (!this._myIsRenderQueued) {
+            this._myIsRenderQueued = true;
+            window.requestAnimationFrame(() => this._render());
+        }
+    }
+
+    /**
+     * Render modified lines.
+     */
+    _render() {
+        this._myIsRenderQueued = false;
+        let isAtBottom = this.element.scrollTop + this.element.clientHeight >= this.element.scrollHeight - 4;
+        while (this._myLineElems.length < this._myLines.length) {
+            let aLineElem = document.createElement("div");
+            this.element.appendChild(aLineElem);
+            this._myLineElems.push(aLineElem);
+            this._myDirty.add(this._myLineElems.length - 1);
+        }
+        while (this._myLineElems.length > this._myLines.length) {
+            this._myLineElems.pop().remove();
+        }
+
+        this._myDirty.forEach((theRow) => {
+            if (theRow < this._myLines.length) {
+                this._myLineElems[theRow].innerHTML = this._lineToHtml(theRow);
+            }
+        });
+        this._myDirty.clear();
+        if (isAtBottom) {
+            this.element.scrollTop = this.element.scrollHeight;
+        }
+    }
+
+    /**
+     * Convert line into HTML.
+     * @param[in] {number} theRow line index
+     * @return {string} HTML string
+     */
+    _lineToHtml(theRow) {
+        let aLine = this._myLines[theRow];
+        let hasCursor = theRow === this._myRow && document.activeElement === this.element;
+        let aLength = hasCursor ? Math.max(aLine.length, this._myCol + 1) : aLine.length;
+        let aHtml = "";
+        let aSpanCss = null;
+        let aSpanText = "";
+        const aFlushFunc = () => {
+            if (aSpanText !== "") {
+                aHtml += aSpanCss !== "" ? "<span style=\"" + aSpanCss + "\">" + aSpanText + "</span>" : aSpanText;
+            }
+            aSpanText = "";
+        };
+        for (let aColIter = 0; aColIter < aLength; ++aColIter) {
+            let aCell = aColIter < aLine.length ? aLine[aColIter] : {ch: " ", css: ""};
+            let aCss = aCell.css;
+            if (hasCursor && aColIter === this._myCol) {
+                aCss += "color:#000;background-color:" + DRAWTERMINAL_PALETTE[7] + ";";
+            }
+            if (aCss !== aSpanCss) {
+                aFlushFunc();
+                aSpanCss = aCss;
+            }
+            aSpanText += aCell.ch === "<" ? "&lt;" : aCell.ch === ">" ? "&gt;" : aCell.ch === "&" ? "&amp;" : aCell.ch;
+        }
+        aFlushFunc();
+        return aHtml !== "" ? aHtml : " ";
+    }
+
+    /**
+     * Handle keydown event.
+     * @param[in] {KeyboardEvent} theEvent key event
+     */
+    _onKeyDown(theEvent) {
+        if (this._myKeyHandler != null && !this._myKeyHandler(theEvent)) {
+            if (!theEvent.ctrlKey && !theEvent.metaKey) {
+                theEvent.preventDefault();
+            }
+            return;
+        }
+        if (theEvent.ctrlKey || theEvent.metaKey || theEvent.altKey) {
+            // keep browser shortcuts
+            return;
+        }
+
+        let aData = null;
+        if (theEvent.key === "Enter") {
+            aData = "\r";
+        } else if (theEvent.key === "Tab") {
+            aData = "\t";
+        } else if (theEvent.key.length === 1) {
+            aData = theEvent.key;
+        }
+        if (aData != null) {
+            theEvent.preventDefault();
+            this.element.scrollTop = this.element.scrollHeight;
+            if (this._myDataCallback != null) {
+                this._myDataCallback(aData);
+            }
+        }
+    }
+
+    /**
+     * Handle paste event.
+     * @param[in] {ClipboardEvent} theEvent clipboard event
+     */
+    _onPaste(theEvent) {
+        theEvent.preventDefault();
+        let aText = theEvent.clipboardData.getData("text/plain");
+        if (aText !== "" && this._myDataCallback != null) {
+            this._myDataCallback(aText.replace(/\r?\n/g, "\r"));
+        }
+    }
+
+};
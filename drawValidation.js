@@ -0,0 +1,198 @@
+/**
+ * Optional panel validating shapes of DrawTerm (or DrawTermProxy) with jsvalidate command
+ * and displaying summary table with downloadable JSON/HTML reports.
+ */
+
+/**
+ * Colors of shape validation status.
+ */
+const DRAWVALIDATION_STATUS_COLORS = {valid: "#0dbc79", invalid: "#f14c4c"};
+
+/**
+ * Shape validation panel.
+ */
+class DrawValidationPanel {
+
+    /**
+     * Main constructor.
+     * @param[in] {DrawTerm|DrawTermProxy} theDraw module to validate shapes of
+     * @param[in] {HTMLElement} theParent parent element to append panel into
+     * @param[in] {Object} theOptions optional parameters:
+     *   - checks {Array<string>} initially enabled checks (all checks listed in DRAWTERM_VALIDATION_CHECKS by default);
+     *   - maxTolerance {number} initial maximum allowed tolerance (1.0e-4 by default).
+     */
+    constructor(theDraw, theParent, theOptions) {
+        let anOptions = theOptions || {};
+        let aChecks = anOptions.checks !== undefined ? anOptions.checks : Object.keys(DRAWTERM_VALIDATION_CHECKS);
+        this._myDraw = theDraw;
+        this._myReport = null;     // last validation report
+        this._myCheckBoxes = {};   // check boxes per check name
+
+        this.element = document.createElement("div");
+        this.element.className = "drawvalidation";
+        this.element.style.cssText = "font-family:monospace;font-size:13px;";
+
+        let aToolbar = document.createElement("div");
+        this._myShapesInput = document.createElement("input");
+        this._myShapesInput.type = "text";
+        this._myShapesInput.placeholder = "shapes (all by default)";
+        aToolbar.appendChild(this._myShapesInput);
+        Object.keys(DRAWTERM_VALIDATION_CHECKS).forEach((theCheck) => {
+            let aLabel = document.createElement("label");
+            aLabel.title = DRAWTERM_VALIDATION_CHECKS[theCheck].description;
+            let aCheckBox = document.createElement("input");
+            aCheckBox.type = "checkbox";
+            aCheckBox.checked = aChecks.includes(theCheck);
+            this._myCheckBoxes[theCheck] = aCheckBox;
+            aLabel.appendChild(aCheckBox);
+            aLabel.appendChild(document.createTextNode(theCheck));
+            aToolbar.appendChild(aLabel);
+        });
+
+        let aTolLabel = document.createElement("label");
+        aTolLabel.appendChild(document.createTextNode(" max tolerance "));
+        this._myTolInput = document.createElement("input");
+        this._myTolInput.type = "text";
+        this._myTolInput.size = 8;
+        this._myTolInput.value = String(anOptions.maxTolerance !== undefined ? anOptions.maxTolerance : 1.0e-4);
+        aTolLabel.appendChild(this._myTolInput);
+        aToolbar.appendChild(aTolLabel);
+
+        let aHighlightLabel = document.createElement("label");
+        this._myHighlightBox = document.createElement("input");
+        this._myHighlightBox.type = "checkbox";
+        aHighlightLabel.appendChild(this._myHighlightBox);
+        aHighlightLabel.appendChild(document.createTextNode("highlight"));
+        aToolbar.appendChild(aHighlightLabel);
+
+        this._myRunButton = this._createButton(aToolbar, "Validate", () => this.validate());
+        this._myJsonButton = this._createButton(aToolbar, "Download JSON", () => this._downloadReport("json"));
+        this._myHtmlButton = this._createButton(aToolbar, "Download HTML", () => this._downloadReport("html"));
+        this._myJsonButton.disabled = true;
+        this._myHtmlButton.disabled = true;
+        this.element.appendChild(aToolbar);
+
+        this._mySummaryElem = document.createElement("div");
+        this.element.appendChild(this._mySummaryElem);
+        this._myTableElem = document.createElement("div");
+        this._myTableElem.style.cssText = "max-height:20em;overflow:auto;";
+        this.element.appendChild(this._myTableElem);
+        theParent.appendChild(this.element);
+    }
+
+    /**
+     * Validate shapes with parameters specified in the panel and display report.
+     * Validation is performed by jsvalidate command put into the execution queue,
+     * so that it does not interfere with other commands.
+     * @return {Promise<Object>} promise returning validation report or NULL on error
+     */
+    async validate() {
+        let aShapes = this._myShapesInput.value.split(/\s+/).filter(theName => theName !== "");
+        let aChecks = Object.keys(this._myCheckBoxes).filter(theCheck => this._myCheckBoxes[theCheck].checked);
+        let aTolText = this._myTolInput.value.trim();
+        let aMaxTol = Number(aTolText);
+        if (aTolText === "" || !isFinite(aMaxTol) || aMaxTol <= 0) {
+            this._mySummaryElem.textContent = "Error: max tolerance should be a positive number";
+            return null;
+        } else if (aChecks.length === 0) {
+            this._mySummaryElem.textContent = "Error: no checks are selected";
+            return null;
+        }
+
+        let aCmdLine = "jsvalidate " + aShapes.map(theName => "{" + theName + "}").join(" ")
+                     + " -checks " + aChecks.join(",") + " -maxtol " + aMaxTol + (this._myHighlightBox.checked ? " -highlight" : "");
+        this._myRunButton.disabled = true;
+        try {
+            let aCmd = await this._myDraw.queueCommand(aCmdLine.replace(/\s+/g, " "), {toEcho: true});
+            let aResult = await aCmd.done;
+            if (aResult.status !== "ok") {
+                let anErrors = aResult.messages.filter(theMsg => theMsg.gravity === "fail" || theMsg.gravity === "alarm");
+                throw new Error(anErrors.length !== 0 ? anErrors.map(theMsg => theMsg.text.replace(/^Error:\s*/, "")).join("\n") : "validation has " + aResult.status);
+            }
+            this._myReport = await this._myDraw.validationReport();
+        } catch (theErr) {
+            this._myReport = null;
+            this._mySummaryElem.textContent = "Error: " + (theErr.message !== undefined ? theErr.message : theErr);
+            this._myTableElem.replaceChildren();
+            return null;
+        } finally {
+            this._myRunButton.disabled = false;
+            this._myJsonButton.disabled = this._myReport == null;
+            this._myHtmlButton.disabled = this._myReport == null;
+        }
+
+        this._showReport(this._myReport);
+        return this._myReport;
+    }
+
+    /**
+     * Create toolbar button.
+     * @param[in] {HTMLElement} theToolbar parent element
+     * @param[in] {string} theLabel button label
+     * @param[in] {function} theAction click callback
+     * @return {HTMLElement} button element
+     */
+    _createButton(theToolbar, theLabel, theAction) {
+        let aButton = document.createElement("button");
+        aButton.textContent = theLabel;
+        aButton.onclick = () => {
+            Promise.resolve(theAction()).catch((theErr) => alert(String(theErr)));
+        };
+        theToolbar.appendChild(aButton);
+        return aButton;
+    }
+
+    /**
+     * Fill summary table with validation report.
+     * @param[in] {Object} theReport report returned by validateShapes()
+     */
+    _showReport(theReport) {
+        this._mySummaryElem.textContent = "Shapes: " + theReport.shapes.length + ", invalid: " + theReport.nbFaulty
+                                        + ", problems: " + theReport.nbProblems;
+
+        let aTable = document.createElement("table");
+        aTable.style.cssText = "border-collapse:collapse;";
+        const aRowFunc = (theCells, theTag) => {
+            let aRow = document.createElement("tr");
+            theCells.forEach((theText) => {
+                let aCell = document.createElement(theTag);
+                aCell.style.cssText = "border:1px solid #999;padding:1px 4px;vertical-align:top;white-space:pre-wrap;";
+                aCell.textContent = theText;
+                aRow.appendChild(aCell);
+            });
+            aTable.appendChild(aRow);
+            return aRow;
+        };
+
+        aRowFunc(["Shape", "Type", "Status", "Check", "Problem", "Sub-shapes"], "th");
+        theReport.shapes.forEach((theShape) => {
+            let aStatus = theShape.isValid ? "valid" : "invalid";
+            let aProblems = theShape.isValid ? [{check: "", message: "", subShapes: []}] : theShape.problems;
+            aProblems.forEach((theProblem) => {
+                let aRow = aRowFunc([theShape.name, theShape.type, aStatus, theProblem.check, theProblem.message,
+                                     theProblem.subShapes.join(" ")], "td");
+                aRow.children[2].style.color = DRAWVALIDATION_STATUS_COLORS[aStatus];
+            });
+        });
+        this._myTableElem.replaceChildren(aTable);
+    }
+
+    /**
+     * Download last validation report.
+     * @param[in] {string} theFormat report format, "json" or "html"
+     */
+    _downloadReport(theFormat) {
+        if (this._myReport == null) {
+            return;
+        }
+
+        if (theFormat === "json") {
+            DrawTerm.prototype.downloadDataFile.call(this._myDraw, JSON.stringify(this._myReport, null, 2),
+                                                     "validation.json", "application/json");
+        } else {
+            DrawTerm.prototype.downloadDataFile.call(this._myDraw, DrawTerm.prototype.validationReportHtml.call(this._myDraw, this._myReport),
+                                                     "validation.html", "text/html");
+        }
+    }
+
+};
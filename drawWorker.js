@@ -0,0 +1,231 @@
+/**
+ * Web Worker hosting DRAWEXE WebAssembly module off the main thread - see DrawTermProxy in drawInterface.js.
+ */
+
+importScripts("drawInterface.js");
+
+/**
+ * Names of emulated file system methods returning a value that can be passed to the main thread.
+ */
+const DRAWWORKER_FS_RESULT_METHODS = ["readFile", "readdir", "stat", "cwd"];
+
+/**
+ * Terminal hosted within Worker - forwards events (including printed messages) to the main thread
+ * and delegates file dialog and downloads to DrawTermProxy.
+ */
+class DrawTermWorker extends DrawTerm {
+
+    /**
+     * Main constructor.
+     */
+    constructor() {
+        super();
+        this._myToPreferPthread = false; // Worker already offloads main thread
+        this._myPageUrl = self.location.href; // base URL for resolving relative URLs
+        this._myRequests = new Map();    // pending requests to main thread
+        this._myRequestCounter = 0;      // last request id
+        this.noImageDecoding = true;     // Emscripten image decoding plugins require DOM
+        DRAWTERM_EVENT_TYPES.forEach((theType) => {
+            this.addEventListener(theType, (theEvent) => {
+                self.postMessage({type: "event", event: theType, detail: theEvent.detail});
+            });
+        });
+    }
+
+    /**
+     * Init Module and load WASM file.
+     */
+    async wasmLoad() {
+        this._myWasmBuild = "wasm32";
+        this.FS = null;
+        try {
+            this._myLoadProgress.assets = {};
+            this._setLoadPhase("fetch");
+            let aFetched = await this._fetchWasmAssets();
+            importScripts(this.locateFile("DRAWEXE.js", ""));
+            await Promise.race([createDRAWEXE(this), aFetched[0]]);
+            return Promise.resolve(true);
+        } catch (theError) {
+            return Promise.reject(new Error("WebAssembly '" + this._myWasmBuild + "' initialization has failed:\r\n" + theError));
+        }
+    }
+
+    /**
+     * Setup OffscreenCanvas transferred from the main thread as viewer canvas.
+     * @param[in] {OffscreenCanvas} theCanvas canvas
+     * @param[in] {Object} theRect canvas bounding rectangle on the page
+     */
+    setOffscreenCanvas(theCanvas, theRect) {
+        this.canvas = theCanvas;
+        this.canvas.id = "occViewerCanvas";
+        this.canvas.getBoundingClientRect = () => theRect;
+
+        // Emscripten looks up canvas via document.querySelector(), which is missing within Worker
+        self.document = {
+            querySelector: (theSelector) => theSelector === "#" + this.canvas.id ? this.canvas : null
+        };
+    }
+
+    /**
+     * Pass data to the main thread for downloading.
+     * @param[in] {Uint8Array} theData data to download
+     * @param[in] {string} theFileName default file name to download data as
+     * @param[in] {string} theType data MIME type
+     */
+    downloadDataFile(theData, theFileName, theType) {
+        self.postMessage({type: "download", data: theData, name: theFileName, mime: theType});
+    }
+
+    /**
+     * Return base URL for resolving relative URLs - page location instead of Worker script by default.
+     * @return {string} base URL
+     */
+    _urlBase() {
+        return this._myUrlBase !== "" ? this._myUrlBase : this._myPageUrl;
+    }
+
+    /**
+     * Request file dialog on the main thread.
+     * @return {Promise<Array<File>>} promise returning the list of chosen files
+     */
+    _chooseLocalFile() {
+        return new Promise((theResolve, theReject) => {
+            let anId = ++this._myRequestCounter;
+            this._myRequests.set(anId, {resolve: theResolve, reject: theReject});
+            self.postMessage({type: "chooseFile", id: anId});
+        });
+    }
+
+    /**
+     * Evaluate jseval code on the main thread, as Worker scope has no access to the page.
+     * @param[in] {string} theScript JavaScript code
+     * @return {Promise} promise returning evaluation result
+     */
+    _evalJsScript(theScript) {
+        return new Promise((theResolve, theReject) => {
+            let anId = ++this._myRequestCounter;
+            this._myRequests.set(anId, {resolve: theResolve, reject: theReject});
+            self.postMessage({type: "jseval", id: anId, script: theScript});
+        }).then(theJson => theJson !== undefined ? JSON.parse(theJson) : undefined);
+    }
+
+    /**
+     * Handle message from the main thread.
+     * @param[in] {Object} theMsg message data
+     */
+    _onProxyMessage(theMsg) {
+        if (theMsg.type === "response") {
+            // response to request from Worker
+            let aRequest = this._myRequests.get(theMsg.id);
+            if (aRequest !== undefined) {
+                this._myRequests.delete(theMsg.id);
+                if (theMsg.error !== undefined) {
+                    aRequest.reject(new Error(theMsg.error));
+                } else {
+                    aRequest.resolve(theMsg.result);
+                }
+            }
+            return;
+        }
+
+        let aPromise = null;
+        try {
+            aPromise = Promise.resolve(this._evaluateProxyRequest(theMsg));
+        } catch (theErr) {
+            aPromise = Promise.reject(theErr);
+        }
+        aPromise.then((theResult) => {
+            self.postMessage({type: "response", id: theMsg.id, result: theResult});
+        }).catch((theErr) => {
+            self.postMessage({type: "response", id: theMsg.id, error: String(theErr)});
+        });
+    }
+
+    /**
+     * Evaluate request from the main thread.
+     * @param[in] {Object} theMsg message data
+     * @return {any|Promise} request result
+     */
+    _evaluateProxyRequest(theMsg) {
+        switch (theMsg.type) {
+            case "init": {
+                this.setBasePrefix(theMsg.basePrefix);
+                if (theMsg.persistDir !== undefined) {
+                    this.setPersistentDir(theMsg.persistDir);
+                }
+                if (theMsg.wasmCache !== undefined && theMsg.wasmCache !== false) {
+                    this.setWasmCacheName(theMsg.wasmCache === true ? DRAWTERM_WASM_CACHE : theMsg.wasmCache);
+                }
+                this._myPageUrl = theMsg.pageUrl;
+                if (theMsg.canvas != null) {
+                    this.setOffscreenCanvas(theMsg.canvas, theMsg.canvasRect);
+                }
+                return this.init();
+            }
+            case "eval": {
+                return this._termQueueCommand(theMsg.command, false, theMsg.timeLimit);
+            }
+            case "queue": {
+                let aCmd = this.queueCommand(theMsg.command, theMsg.options);
+                self.postMessage({type: "item", id: theMsg.id, item: {id: aCmd.id, toEcho: aCmd.toEcho, timeLimit: aCmd.timeLimit}});
+                return aCmd.done;
+            }
+            case "remove": {
+                return this.removeCommand(theMsg.commandId);
+            }
+            case "cancel": {
+                return this.cancelQueue();
+            }
+            case "script": {
+                let anOptions = Object.assign({}, theMsg.options);
+                anOptions.onCommand = (theItem) => {
+                    self.postMessage({type: "item", id: theMsg.id, item: theItem});
+                };
+                return this.runScript(theMsg.script, anOptions);
+            }
+            case "uploadUrl": {
+                return this.uploadUrl(theMsg.url, theMsg.path, theMsg.preload, theMsg.overwrite);
+            }
+            case "urlPolicy": {
+                return this.setUrlPolicy(theMsg.policy);
+            }
+            case "exportModel": {
+                return this.exportModel(theMsg.shapes, theMsg.fileName, theMsg.options);
+            }
+            case "captureView": {
+                return this.captureView(theMsg.options);
+            }
+            case "openModel": {
+                return this.openModel(theMsg.source, theMsg.options);
+            }
+            case "uploadFiles": {
+                let anOptions = Object.assign({}, theMsg.options);
+                anOptions.onFileStatus = (theItem) => {
+                    self.postMessage({type: "item", id: theMsg.id, item: theItem});
+                };
+                return this.uploadFiles(theMsg.files, theMsg.targetDir, anOptions);
+            }
+            case "tcl": {
+                if (!DRAWTERM_PROXY_TCL_METHODS.includes(theMsg.method)) {
+                    throw new Error(theMsg.method + "() is unavailable");
+                }
+                return this[theMsg.method](...theMsg.args);
+            }
+            case "fs": {
+                if (this.FS == null || typeof this.FS[theMsg.method] !== "function") {
+                    throw new Error("FS." + theMsg.method + "() is unavailable");
+                }
+                let aRes = this.FS[theMsg.method](...theMsg.args);
+                return DRAWWORKER_FS_RESULT_METHODS.includes(theMsg.method) ? aRes : undefined;
+            }
+        }
+        throw new Error("Unknown request '" + theMsg.type + "'");
+    }
+
+};
+
+//! WebAssembly module instance within Worker.
+const DRAWWORKER = new DrawTermWorker();
+self.onmessage = (theEvent) => {
+    DRAWWORKER._onProxyMessage(theEvent.data);
+};
@@ -6,6 +6,8 @@
 
 import sys
 import os
+import json
+import hashlib
 
 from http.server import HTTPServer, SimpleHTTPRequestHandler
 
@@ -19,6 +21,31 @@ THE_HEADERS_CORS: bool = True
 THE_HEADERS_MAX_AGE: int = 2
 THE_CHECK_LAST_MODIFIED: bool = True
 THE_ROOT_FOLDER: str = os.getcwd()
+THE_MANIFEST: bool = True
+THE_MANIFEST_NAME: str = "DRAWEXE.manifest.json"
+THE_MANIFEST_CACHE: dict = {}
+
+def buildManifest (theDir: str) -> bytes:
+  """Return JSON manifest with SHA-256 hashes of DRAWEXE.* files within WASM build folder (used by DrawTerm cache for versioning)."""
+  aFiles: dict = {}
+  for aName in sorted (os.listdir (theDir)):
+    aPath = os.path.join (theDir, aName)
+    if not aName.startswith ("DRAWEXE.") or aName == THE_MANIFEST_NAME or not os.path.isfile (aPath):
+      continue
+
+    # hash is recomputed only for modified files
+    aStat = os.stat (aPath)
+    aKey = (aPath, aStat.st_mtime, aStat.st_size)
+    if aKey not in THE_MANIFEST_CACHE:
+      with open (aPath, 'rb') as aFile:
+        THE_MANIFEST_CACHE[aKey] = hashlib.sha256 (aFile.read()).hexdigest()
+    aFiles[aName] = THE_MANIFEST_CACHE[aKey]
+  return json.dumps ({"files": aFiles}, indent = 2).encode ('utf-8')
+
+def isInsideFolder (thePath: str, theFolder: str) -> bool:
+  """Return True if path (after resolving symbolic links) is located within specified folder."""
+  aFolder = os.path.realpath (theFolder)
+  return os.path.commonpath ([os.path.realpath (thePath), aFolder]) == aFolder
 
 class CustomHttpRequestHandler (SimpleHTTPRequestHandler):
   def __init__(self, *args, **kwargs):
@@ -45,11 +72,30 @@ class CustomHttpRequestHandler (SimpleHTTPRequestHandler):
     SimpleHTTPRequestHandler.end_headers(self)
 
   def do_GET(self):
+    # translate_path() drops query and '..' components, but the result is also checked against root folder (symbolic links)
+    aPathLocal: str = self.translate_path (self.path)
+    if not isInsideFolder (aPathLocal, THE_ROOT_FOLDER):
+      self.send_error (404, 'File not found')
+      return
+
+    # generate manifest of WASM build folder, unless it is written explicitly (see --writemanifest)
+    aManifestDir = os.path.dirname (aPathLocal)
+    isManifest: bool = THE_MANIFEST and os.path.basename (aPathLocal) == THE_MANIFEST_NAME and os.path.isdir (aManifestDir)
+    if isManifest and not os.path.exists (aPathLocal):
+      aManifest = buildManifest (aManifestDir)
+      self.protocol_version = 'HTTP/1.1'
+      self.send_response (200)
+      self.send_header ('Content-Length', len (aManifest))
+      self.send_header ('Content-Type', 'application/json')
+      self.end_headers()
+      self.wfile.write (aManifest)
+      return
+
     if not THE_CHECK_LAST_MODIFIED:
       SimpleHTTPRequestHandler.do_GET(self)
       return
 
-    self.path_local = os.path.join (THE_ROOT_FOLDER, self.path.lstrip ('/'))
+    self.path_local = aPathLocal
     if not os.path.exists (self.path_local) or not os.path.isfile (self.path_local):
       SimpleHTTPRequestHandler.do_GET(self)
       return
@@ -83,6 +129,7 @@ class CustomHttpRequestHandler (SimpleHTTPRequestHandler):
 
 if __name__ == '__main__':
   hasPortArg: bool = False
+  toWriteManifest: bool = False
   aNbArgs: int = len(sys.argv)
   anArgIter: int = 1
   while anArgIter < aNbArgs:
@@ -115,6 +162,10 @@ if __name__ == '__main__':
         anArgIter += 1
         isOn: int = int(sys.argv[anArgIter])
         THE_CHECK_LAST_MODIFIED = isOn != 0
+      elif (anArg.lower() == "--manifest") or (anArg.lower() == "-manifest"):
+        anArgIter += 1
+        isOn: int = int(sys.argv[anArgIter])
+        THE_MANIFEST = isOn != 0
       else:
         isParsed = False
 
@@ -125,8 +176,14 @@ if __name__ == '__main__':
     if (anArg.lower() == "--help") or (anArg.lower() == "-help"):
       print ("Usage: server.py [--address ADDRESS]=localhost [--port PORT]=8000\n\
                  [--cors 0|1]=1 [--threaded 0|1]=1 [--directory DIR]=CWD\n\
-                 [--maxage SECONDS]=2 [--checklastmodified 0|1]=1")
+                 [--maxage SECONDS]=2 [--checklastmodified 0|1]=1\n\
+                 [--manifest 0|1]=1 [--writemanifest]\n\
+       --manifest      generate {0} with hashes of WASM build files on request\n\
+       --writemanifest write {0} into wasm32 and wasm32-pthread folders (for static hosting) and exit"
+             .format (THE_MANIFEST_NAME))
       sys.exit (0)
+    elif (anArg.lower() == "--writemanifest") or (anArg.lower() == "-writemanifest"):
+      toWriteManifest = True
     elif not hasPortArg:
       hasPortArg = True
       THE_PORT = int(anArg)
@@ -136,6 +193,18 @@ if __name__ == '__main__':
 
     anArgIter += 1
 
+  if toWriteManifest:
+    for aBuild in ["wasm32", "wasm32-pthread"]:
+      aBuildDir = os.path.join (THE_ROOT_FOLDER, aBuild)
+      if os.path.isdir (aBuildDir):
+        aManifestPath = os.path.join (aBuildDir, THE_MANIFEST_NAME)
+        if os.path.exists (aManifestPath):
+          os.remove (aManifestPath)
+        with open (aManifestPath, 'wb') as aFile:
+          aFile.write (buildManifest (aBuildDir))
+        print ("Written '{0}'".format (aManifestPath))
+    sys.exit (0)
+
   if hasThreadedServer:
     anHttpServer = ThreadingHTTPServer ((THE_ADDRESS, THE_PORT), CustomHttpRequestHandler)
   else:
@@ -0,0 +1,129 @@
+// Tests of parsers of Draw command output used by DrawTerm.inspectShape() and DrawTerm.validateShapes().
+// Output samples are captured from DRAWEXE for "box b 10 20 30", so that tests run in Node.js without WASM:
+//   node --test tests/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {DrawTerm} = require("../drawInterface.js");
+
+const THE_DRAW = new DrawTerm();
+
+const THE_WHATIS = "b is a shape SOLID FORWARD Modified Orientable Closed";
+
+const THE_NBSHAPES = "Number of shapes in b\n"
+    + " VERTEX    : 8\n"
+    + " EDGE      : 12\n"
+    + " WIRE      : 6\n"
+    + " FACE      : 6\n"
+    + " SHELL     : 1\n"
+    + " SOLID     : 1\n"
+    + " COMPSOLID : 0\n"
+    + " COMPOUND  : 0\n"
+    + " SHAPE     : 34";
+
+const THE_BOUNDING = "-9.9999999999999995e-08 -9.9999999999999995e-08 -9.9999999999999995e-08 "
+    + "10.000000100000001 20.000000100000001 30.000000100000001";
+
+const THE_VPROPS = "\n"
+    + "  Mass :         6000 \n"
+    + "\n"
+    + "  Center of gravity : \n"
+    + "  X =                 5\n"
+    + "  Y =                10\n"
+    + "  Z =                15\n"
+    + "\n"
+    + "  Matrix of Inertia : \n"
+    + "         650000                  0                  0\n"
+    + "              0             500000                  0\n"
+    + "              0                  0             250000";
+
+const THE_SPROPS = "\n"
+    + "  Mass :         2200 \n"
+    + "\n"
+    + "  Center of gravity : \n"
+    + "  X =                 5\n"
+    + "  Y =                10\n"
+    + "  Z =                15";
+
+const THE_TOLERANCE = "Tolerance MAX=1.0000000000000001e-07 AVG=1.0000000000000001e-07 MIN=1.0000000000000001e-07\n"
+    + "FACE    : MAX=1.0000000000000001e-07 AVG=1.0000000000000001e-07 MIN=1.0000000000000001e-07\n"
+    + "EDGE    : MAX=2.0000000000000001e-07 AVG=1.5e-07 MIN=1.0000000000000001e-07\n"
+    + "VERTEX  : MAX=3.0000000000000001e-07 AVG=1.0000000000000001e-07 MIN=1.0000000000000001e-07";
+
+const THE_CHECKSHAPE_VALID = "This shape seems to be valid";
+
+const THE_CHECKSHAPE_FAULTY = "\n"
+    + "On Shape faulty_1 :\n"
+    + "  BRepCheck_NotClosed\n"
+    + "\n"
+    + "On Shape faulty_2 :\n"
+    + "  BRepCheck_InvalidCurveOnSurface\n"
+    + "\n"
+    + "Faulty shapes in variables faulty_1 to faulty_2 ";
+
+test("_parseWhatis() returns shape type and orientation", () => {
+    assert.deepStrictEqual(THE_DRAW._parseWhatis(THE_WHATIS), {type: "SOLID", orientation: "FORWARD"});
+    assert.throws(() => THE_DRAW._parseWhatis("x is a numeric"), /unexpected output of whatis/);
+});
+
+test("_parseNbshapes() returns numbers of sub-shapes", () => {
+    assert.deepStrictEqual(THE_DRAW._parseNbshapes(THE_NBSHAPES),
+                           {vertex: 8, edge: 12, wire: 6, face: 6, shell: 1, solid: 1, compsolid: 0, compound: 0, shape: 34});
+});
+
+test("_parseBounding() returns bounding box", () => {
+    let aBox = THE_DRAW._parseBounding(THE_BOUNDING);
+    assert.deepStrictEqual(aBox.min, [-9.9999999999999995e-08, -9.9999999999999995e-08, -9.9999999999999995e-08]);
+    assert.deepStrictEqual(aBox.max, [10.000000100000001, 20.000000100000001, 30.000000100000001]);
+    assert.strictEqual(THE_DRAW._parseBounding("Void box"), null);
+    assert.strictEqual(THE_DRAW._parseBounding(""), null);
+});
+
+test("_parseProps() returns mass and center of gravity", () => {
+    assert.deepStrictEqual(THE_DRAW._parseProps(THE_VPROPS), {mass: 6000, center: [5, 10, 15]});
+    assert.deepStrictEqual(THE_DRAW._parseProps(THE_SPROPS), {mass: 2200, center: [5, 10, 15]});
+    assert.deepStrictEqual(THE_DRAW._parseProps("  Mass :         0 \n"), {mass: 0, center: null});
+    assert.throws(() => THE_DRAW._parseProps(""), /unexpected output of mass properties/);
+});
+
+test("_parseTolerance() returns tolerance per sub-shape type", () => {
+    let aTol = THE_DRAW._parseTolerance(THE_TOLERANCE);
+    assert.deepStrictEqual(aTol, {
+        min: 1.0000000000000001e-07, avg: 1.0000000000000001e-07, max: 1.0000000000000001e-07,
+        face: {min: 1.0000000000000001e-07, avg: 1.0000000000000001e-07, max: 1.0000000000000001e-07},
+        edge: {min: 1.0000000000000001e-07, avg: 1.5e-07, max: 2.0000000000000001e-07},
+        vertex: {min: 1.0000000000000001e-07, avg: 1.0000000000000001e-07, max: 3.0000000000000001e-07}
+    });
+    assert.strictEqual(THE_DRAW._parseTolerance(""), null);
+});
+
+test("_parseCheckshape() returns validity and faults", () => {
+    assert.deepStrictEqual(THE_DRAW._parseCheckshape(THE_CHECKSHAPE_VALID), {isValid: true, faults: []});
+
+    let aCheck = THE_DRAW._parseCheckshape(THE_CHECKSHAPE_FAULTY);
+    assert.strictEqual(aCheck.isValid, false);
+    assert.deepStrictEqual(aCheck.faults, ["On Shape faulty_1 :", "BRepCheck_NotClosed", "On Shape faulty_2 :",
+                                           "BRepCheck_InvalidCurveOnSurface", "Faulty shapes in variables faulty_1 to faulty_2"]);
+    assert.deepStrictEqual(THE_DRAW._parseCheckshapeProblems(THE_CHECKSHAPE_FAULTY), [
+        {message: "BRepCheck_NotClosed", subShapes: ["faulty_1"]},
+        {message: "BRepCheck_InvalidCurveOnSurface", subShapes: ["faulty_2"]}
+    ]);
+});
+
+test("inspectShape() combines parsed output", () => {
+    let aDraw = new DrawTerm();
+    let anOutputs = {isdraw: "1", whatis: THE_WHATIS, nbshapes: THE_NBSHAPES, bounding: THE_BOUNDING, vprops: THE_VPROPS,
+                     sprops: THE_SPROPS, tolerance: THE_TOLERANCE, checkshape: THE_CHECKSHAPE_VALID, info: "cmd"};
+    aDraw._tclEvalSilent = theCmd => ({isOk: true, output: anOutputs[theCmd.split(" ")[0]]});
+
+    let aShape = aDraw.inspectShape("b");
+    assert.strictEqual(aShape.type, "SOLID");
+    assert.strictEqual(aShape.counts.face, 6);
+    assert.strictEqual(aShape.volume, 6000);
+    assert.strictEqual(aShape.area, 2200);
+    assert.deepStrictEqual(aShape.centerOfMass, [5, 10, 15]);
+    assert.strictEqual(aShape.isValid, true);
+
+    anOutputs.whatis = "x is a numeric";
+    assert.throws(() => aDraw.inspectShape("x"), /'x' is not a shape/);
+});